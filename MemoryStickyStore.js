@@ -0,0 +1,121 @@
+const crypto = require("crypto");
+const StickyRecord = require("./StickyRecord");
+
+/**
+ * Sticky storage kept in process memory. Nothing survives a restart, so it is
+ * meant for development and for running the addon without a database.
+ */
+class MemoryStickyStore {
+    constructor() {
+        this.records = new Map();
+        this.guildSettings = new Map();
+        this.auditEntries = [];
+    }
+
+    async init() {}
+
+    /**
+     * @param {Object} [filter] - Equality filter on record fields
+     * @returns {Promise<Object[]>}
+     */
+    async find(filter = {}) {
+        return [...this.records.values()].filter(rec => StickyRecord.matchesFilter(rec, filter)).map(rec => structuredClone(rec));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        const rec = this.records.get(String(id));
+        return rec ? structuredClone(rec) : null;
+    }
+
+    /**
+     * @param {Object} data - Record fields; `_id` is generated unless given
+     * @returns {Promise<Object>}
+     */
+    async create(data) {
+        const rec = structuredClone({ ...data, _id: String(data._id || crypto.randomUUID()) });
+        const duplicate = [...this.records.values()].some(other => other.channelId === rec.channelId && other.name === rec.name);
+        if (this.records.has(rec._id) || duplicate) {
+            throw new Error(`A sticky named "${rec.name}" already exists in channel ${rec.channelId}`);
+        }
+        this.records.set(rec._id, rec);
+        return structuredClone(rec);
+    }
+
+    /**
+     * @param {string} id
+     * @param {Object} changes - Fields to set, dotted paths allowed
+     * @returns {Promise<Object|null>} The updated record
+     */
+    async update(id, changes) {
+        const rec = this.records.get(String(id));
+        if (!rec) return null;
+        StickyRecord.applyChanges(rec, structuredClone(changes));
+        return structuredClone(rec);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Object|null>} The deleted record
+     */
+    async delete(id) {
+        const rec = this.records.get(String(id));
+        if (!rec) return null;
+        this.records.delete(String(id));
+        return rec;
+    }
+
+    /**
+     * Adds an amount to a numeric field of every matching record.
+     * @param {Object} filter - Equality filter on record fields
+     * @param {string} field
+     * @param {number} amount
+     */
+    async increment(filter, field, amount) {
+        for (const rec of this.records.values()) {
+            if (StickyRecord.matchesFilter(rec, filter)) rec[field] = (rec[field] || 0) + amount;
+        }
+    }
+
+    /**
+     * @returns {Promise<Object[]>} The settings overrides of every guild, as { guildId, overrides }
+     */
+    async getGuildSettings() {
+        return [...this.guildSettings].map(([guildId, overrides]) => ({ guildId, overrides: structuredClone(overrides) }));
+    }
+
+    /**
+     * @param {string} guildId
+     * @param {Object} overrides - Values keyed by setting name, replacing the stored ones
+     */
+    async saveGuildSettings(guildId, overrides) {
+        this.guildSettings.set(guildId, structuredClone(overrides));
+    }
+
+    /**
+     * @param {Object} entry - Audit entry fields
+     */
+    async addAuditEntry(entry) {
+        this.auditEntries.push(structuredClone({ ...entry, _id: String(entry._id || crypto.randomUUID()) }));
+    }
+
+    /**
+     * @param {Object} filter - Equality filter on entry fields
+     * @param {Object} [options]
+     * @param {number} [options.skip]
+     * @param {number} [options.limit]
+     * @returns {Promise<Object[]>} Matching entries, newest first
+     */
+    async findAuditEntries(filter, { skip = 0, limit = 10 } = {}) {
+        return this.auditEntries
+            .filter(entry => StickyRecord.matchesFilter(entry, filter))
+            .reverse()
+            .slice(skip, skip + limit)
+            .map(entry => structuredClone(entry));
+    }
+}
+
+module.exports = MemoryStickyStore;
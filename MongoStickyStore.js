@@ -0,0 +1,103 @@
+const StickyMessageModel = require("./StickyModel");
+const StickySettingsModel = require("./StickySettingsModel");
+const StickyAuditModel = require("./StickyAuditModel");
+
+/**
+ * Sticky storage in MongoDB through the Mongoose model in StickyModel.js.
+ * This is the default backend and uses the bot's existing connection.
+ */
+class MongoStickyStore {
+    /**
+     * Upgrades legacy records and indexes, see StickyMessageModel.migrate().
+     */
+    async init() {
+        await StickyMessageModel.migrate();
+    }
+
+    /**
+     * @param {Object} [filter] - Equality filter on record fields
+     * @returns {Promise<Object[]>}
+     */
+    async find(filter = {}) {
+        return StickyMessageModel.find(filter).lean();
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        return StickyMessageModel.findById(id).lean();
+    }
+
+    /**
+     * @param {Object} data - Record fields; `_id` is generated unless given
+     * @returns {Promise<Object>}
+     */
+    async create(data) {
+        const doc = await StickyMessageModel.create(data);
+        return doc.toObject();
+    }
+
+    /**
+     * @param {string} id
+     * @param {Object} changes - Fields to set, dotted paths allowed
+     * @returns {Promise<Object|null>} The updated record
+     */
+    async update(id, changes) {
+        return StickyMessageModel.findByIdAndUpdate(id, { $set: changes }, { new: true }).lean();
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Object|null>} The deleted record
+     */
+    async delete(id) {
+        return StickyMessageModel.findByIdAndDelete(id).lean();
+    }
+
+    /**
+     * Adds an amount to a numeric field of every matching record.
+     * @param {Object} filter - Equality filter on record fields
+     * @param {string} field
+     * @param {number} amount
+     */
+    async increment(filter, field, amount) {
+        await StickyMessageModel.updateMany(filter, { $inc: { [field]: amount } });
+    }
+
+    /**
+     * @returns {Promise<Object[]>} The settings overrides of every guild, as { guildId, overrides }
+     */
+    async getGuildSettings() {
+        return StickySettingsModel.find().lean();
+    }
+
+    /**
+     * @param {string} guildId
+     * @param {Object} overrides - Values keyed by setting name, replacing the stored ones
+     */
+    async saveGuildSettings(guildId, overrides) {
+        await StickySettingsModel.findOneAndUpdate({ guildId }, { overrides }, { upsert: true });
+    }
+
+    /**
+     * @param {Object} entry - Audit entry fields
+     */
+    async addAuditEntry(entry) {
+        await StickyAuditModel.create(entry);
+    }
+
+    /**
+     * @param {Object} filter - Equality filter on entry fields
+     * @param {Object} [options]
+     * @param {number} [options.skip]
+     * @param {number} [options.limit]
+     * @returns {Promise<Object[]>} Matching entries, newest first
+     */
+    async findAuditEntries(filter, { skip = 0, limit = 10 } = {}) {
+        return StickyAuditModel.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit).lean();
+    }
+}
+
+module.exports = MongoStickyStore;
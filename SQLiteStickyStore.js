@@ -0,0 +1,181 @@
+const crypto = require("crypto");
+const StickyRecord = require("./StickyRecord");
+
+/**
+ * Sticky storage in a SQLite file through better-sqlite3, for bots that
+ * don't run MongoDB. Each record is stored as JSON next to the channel ID
+ * and name, which are indexed and unique together like in the Mongo schema.
+ */
+class SQLiteStickyStore {
+    /**
+     * @param {string} file - Path of the database file, created if missing
+     */
+    constructor(file) {
+        this.file = file;
+        this.db = null;
+    }
+
+    async init() {
+        this.connection();
+    }
+
+    /**
+     * Opens the database and creates the table on first use.
+     * @returns {Object} The better-sqlite3 database
+     */
+    connection() {
+        if (this.db) return this.db;
+        // Required here so better-sqlite3 is only needed when this backend is selected
+        const Database = require("better-sqlite3");
+        this.db = new Database(this.file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`CREATE TABLE IF NOT EXISTS sticky_messages (
+            id TEXT PRIMARY KEY,
+            channel_id TEXT NOT NULL,
+            name TEXT NOT NULL,
+            data TEXT NOT NULL,
+            UNIQUE (channel_id, name)
+        )`);
+        this.db.exec(`CREATE TABLE IF NOT EXISTS sticky_settings (
+            guild_id TEXT PRIMARY KEY,
+            overrides TEXT NOT NULL
+        )`);
+        this.db.exec(`CREATE TABLE IF NOT EXISTS sticky_audit (
+            seq INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            channel_id TEXT,
+            sticky_name TEXT,
+            data TEXT NOT NULL
+        )`);
+        this.db.exec('CREATE INDEX IF NOT EXISTS sticky_audit_guild ON sticky_audit (guild_id, seq)');
+        return this.db;
+    }
+
+    /**
+     * @param {Object} [filter] - Equality filter on record fields
+     * @returns {Promise<Object[]>}
+     */
+    async find(filter = {}) {
+        const rows = filter.channelId !== undefined
+            ? this.connection().prepare('SELECT data FROM sticky_messages WHERE channel_id = ?').all(String(filter.channelId))
+            : this.connection().prepare('SELECT data FROM sticky_messages').all();
+        return rows.map(row => JSON.parse(row.data)).filter(rec => StickyRecord.matchesFilter(rec, filter));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        return this.findByIdSync(id);
+    }
+
+    /**
+     * @param {Object} data - Record fields; `_id` is generated unless given
+     * @returns {Promise<Object>}
+     */
+    async create(data) {
+        const rec = { ...data, _id: String(data._id || crypto.randomUUID()) };
+        this.connection().prepare('INSERT INTO sticky_messages (id, channel_id, name, data) VALUES (?, ?, ?, ?)')
+            .run(rec._id, String(rec.channelId), rec.name, JSON.stringify(rec));
+        return rec;
+    }
+
+    /**
+     * @param {string} id
+     * @param {Object} changes - Fields to set, dotted paths allowed
+     * @returns {Promise<Object|null>} The updated record
+     */
+    async update(id, changes) {
+        return this.connection().transaction(() => {
+            const rec = this.findByIdSync(id);
+            if (!rec) return null;
+            StickyRecord.applyChanges(rec, changes);
+            this.write(rec);
+            return rec;
+        })();
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Object|null>} The deleted record
+     */
+    async delete(id) {
+        const rec = this.findByIdSync(id);
+        if (rec) this.connection().prepare('DELETE FROM sticky_messages WHERE id = ?').run(String(id));
+        return rec;
+    }
+
+    /**
+     * Adds an amount to a numeric field of every matching record.
+     * @param {Object} filter - Equality filter on record fields
+     * @param {string} field
+     * @param {number} amount
+     */
+    async increment(filter, field, amount) {
+        const records = await this.find(filter);
+        this.connection().transaction(() => {
+            for (const rec of records) {
+                // Re-read inside the transaction so concurrent writes are not lost
+                const current = this.findByIdSync(rec._id);
+                if (!current) continue;
+                current[field] = (current[field] || 0) + amount;
+                this.write(current);
+            }
+        })();
+    }
+
+    /**
+     * @returns {Promise<Object[]>} The settings overrides of every guild, as { guildId, overrides }
+     */
+    async getGuildSettings() {
+        return this.connection().prepare('SELECT guild_id, overrides FROM sticky_settings').all()
+            .map(row => ({ guildId: row.guild_id, overrides: JSON.parse(row.overrides) }));
+    }
+
+    /**
+     * @param {string} guildId
+     * @param {Object} overrides - Values keyed by setting name, replacing the stored ones
+     */
+    async saveGuildSettings(guildId, overrides) {
+        this.connection().prepare('INSERT INTO sticky_settings (guild_id, overrides) VALUES (?, ?) ON CONFLICT (guild_id) DO UPDATE SET overrides = excluded.overrides')
+            .run(String(guildId), JSON.stringify(overrides));
+    }
+
+    /**
+     * @param {Object} entry - Audit entry fields
+     */
+    async addAuditEntry(entry) {
+        const rec = { ...entry, _id: String(entry._id || crypto.randomUUID()) };
+        this.connection().prepare('INSERT INTO sticky_audit (guild_id, channel_id, sticky_name, data) VALUES (?, ?, ?, ?)')
+            .run(String(rec.guildId), rec.channelId || null, rec.stickyName || null, JSON.stringify(rec));
+    }
+
+    /**
+     * @param {Object} filter - Equality filter on guildId, channelId and stickyName
+     * @param {Object} [options]
+     * @param {number} [options.skip]
+     * @param {number} [options.limit]
+     * @returns {Promise<Object[]>} Matching entries, newest first
+     */
+    async findAuditEntries(filter, { skip = 0, limit = 10 } = {}) {
+        const columns = { guildId: 'guild_id', channelId: 'channel_id', stickyName: 'sticky_name' };
+        const keys = Object.keys(filter).filter(key => columns[key]);
+        const where = keys.length > 0 ? `WHERE ${keys.map(key => `${columns[key]} = ?`).join(' AND ')}` : '';
+        return this.connection().prepare(`SELECT data FROM sticky_audit ${where} ORDER BY seq DESC LIMIT ? OFFSET ?`)
+            .all(...keys.map(key => String(filter[key])), limit, skip)
+            .map(row => JSON.parse(row.data));
+    }
+
+    findByIdSync(id) {
+        const row = this.connection().prepare('SELECT data FROM sticky_messages WHERE id = ?').get(String(id));
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    write(rec) {
+        this.connection().prepare('UPDATE sticky_messages SET channel_id = ?, name = ?, data = ? WHERE id = ?')
+            .run(String(rec.channelId), rec.name, JSON.stringify(rec), rec._id);
+    }
+}
+
+module.exports = SQLiteStickyStore;
@@ -0,0 +1,230 @@
+const yaml = require("js-yaml");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const config = yaml.load(fs.readFileSync("./addons/StickyMessages/config.yml", "utf8"));
+
+/**
+ * Files attached to stickies. With Attachments.Storage "local" (the default)
+ * every file is downloaded once into Attachments.Folder and sent from there,
+ * kept in memory between reposts. With "discord" only the file's CDN URL is
+ * stored; it is reused while valid, refreshed through Discord once it expired,
+ * and replaced by the URL of the newest repost every time the sticky is posted.
+ *
+ * Entries on a record look like { name, contentType, size, url, path }.
+ */
+
+const MAX_FILES = 10;
+// Files kept in memory between reposts, at most this many bytes in total
+const MEMORY_CACHE_BYTES = 50 * 1024 * 1024;
+// A CDN URL that expires sooner than this is refreshed before use
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+const fileCache = new Map();
+// Expired CDN link -> its refreshed one, for links kept outside attachment entries
+const refreshedLinks = new Map();
+let cachedBytes = 0;
+
+/**
+ * The Attachments section of config.yml, with defaults for missing keys.
+ * @returns {{ Storage: string, Folder: string, MaxSizeMB: number }}
+ */
+function settings() {
+    return {
+        Storage: 'local',
+        Folder: './addons/StickyMessages/attachments',
+        MaxSizeMB: 8,
+        ...(config.Attachments || {}),
+    };
+}
+
+/**
+ * When a Discord CDN URL stops working, from its "ex" parameter.
+ * @param {string} url
+ * @returns {number|null} Time in ms, or null for URLs that don't expire
+ */
+function expiryOf(url) {
+    try {
+        const ex = new URL(url).searchParams.get('ex');
+        return ex ? parseInt(ex, 16) * 1000 : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * @param {string} url
+ * @returns {boolean} Whether the URL can still be used for a while
+ */
+function isUrlValid(url) {
+    if (!url) return false;
+    const expiry = expiryOf(url);
+    return expiry === null || expiry - Date.now() > EXPIRY_MARGIN_MS;
+}
+
+/**
+ * Downloads an uploaded file and stores it for a sticky.
+ * @param {string} guildId
+ * @param {Discord.Attachment} attachment - The file passed to the command
+ * @returns {Promise<Object>} The record entry
+ */
+async function save(guildId, attachment) {
+    const { Storage, Folder, MaxSizeMB } = settings();
+    if (attachment.size > MaxSizeMB * 1024 * 1024) throw new Error(`Files can be at most ${MaxSizeMB} MB`);
+
+    const entry = { name: attachment.name, contentType: attachment.contentType || null, size: attachment.size, url: attachment.url, path: null };
+    if (Storage !== 'local') return entry;
+
+    const response = await fetch(attachment.url);
+    if (!response.ok) throw new Error(`The file could not be downloaded (HTTP ${response.status})`);
+    const data = Buffer.from(await response.arrayBuffer());
+    const folder = path.join(Folder, guildId);
+    await fs.promises.mkdir(folder, { recursive: true });
+    entry.path = path.join(folder, `${crypto.randomUUID()}-${attachment.name.replace(/[^\w.-]/g, '_')}`);
+    await fs.promises.writeFile(entry.path, data);
+    remember(entry.path, data);
+    return entry;
+}
+
+/**
+ * Keeps a file in memory for the next reposts, dropping the oldest ones when
+ * the cache is full. Very large files are always read from disk.
+ */
+function remember(filePath, data) {
+    if (data.length > MEMORY_CACHE_BYTES / 4) return;
+    while (cachedBytes + data.length > MEMORY_CACHE_BYTES && fileCache.size > 0) {
+        const [oldest, buffer] = fileCache.entries().next().value;
+        fileCache.delete(oldest);
+        cachedBytes -= buffer.length;
+    }
+    fileCache.set(filePath, data);
+    cachedBytes += data.length;
+}
+
+/**
+ * Deletes the local copies of removed entries.
+ * @param {Object[]} entries
+ */
+async function removeFiles(entries = []) {
+    for (const entry of entries) {
+        if (!entry.path) continue;
+        const buffer = fileCache.get(entry.path);
+        if (buffer) {
+            fileCache.delete(entry.path);
+            cachedBytes -= buffer.length;
+        }
+        await fs.promises.unlink(entry.path).catch(e => {
+            if (e.code !== 'ENOENT') console.error(`[StickyMessages] Could not delete the attachment ${entry.path}:`, e);
+        });
+    }
+}
+
+/**
+ * The files a sticky owns, to remove with it. Copies of a thread template
+ * share the files of their template.
+ * @param {Object} sticky - StickyMessage record
+ * @returns {Object[]}
+ */
+function filesOf(sticky) {
+    return sticky.templateId ? [] : sticky.attachments;
+}
+
+/**
+ * Asks Discord for fresh URLs of expired CDN links.
+ * @param {Discord.Client} client
+ * @param {string[]} urls
+ * @returns {Promise<Map<string, string>>} Old URL -> new URL
+ */
+async function refreshUrls(client, urls) {
+    const refreshed = new Map();
+    if (urls.length === 0) return refreshed;
+    try {
+        const result = await client.rest.post('/attachments/refresh-urls', { body: { attachment_urls: urls } });
+        for (const { original, refreshed: url } of result.refreshed_urls || []) refreshed.set(original, url);
+    } catch (e) {
+        console.error('[StickyMessages] Could not refresh attachment URLs:', e);
+    }
+    return refreshed;
+}
+
+/**
+ * A usable URL for an image kept only as a CDN link, such as an uploaded
+ * webhook avatar. Expired links are refreshed through Discord and the fresh
+ * one is reused until it expires in turn.
+ * @param {Discord.Client} client
+ * @param {string|null} url
+ * @returns {Promise<string|null>} null when the link can't be used anymore
+ */
+async function freshUrl(client, url) {
+    if (!url || isUrlValid(url)) return url;
+    const known = refreshedLinks.get(url);
+    if (known && isUrlValid(known)) return known;
+    const fresh = (await refreshUrls(client, [url])).get(url);
+    if (!fresh) return null;
+    refreshedLinks.set(url, fresh);
+    return fresh;
+}
+
+/**
+ * The files to send with stickies: local copies where there are, otherwise
+ * their CDN URLs, refreshed first when expired. Entries that can't be sent
+ * are left out and logged.
+ * @param {Discord.TextChannel} channel
+ * @param {Object[]} stickies - StickyMessage records posted together
+ * @returns {Promise<{ files: Object[], sent: Object[] }>} Files for a message payload, and the entries they came from
+ */
+async function filesFor(channel, stickies) {
+    const entries = stickies.flatMap(sticky => sticky.attachments || []).slice(0, MAX_FILES);
+    const expired = entries.filter(entry => !entry.path && entry.url && !isUrlValid(entry.url)).map(entry => entry.url);
+    const refreshed = await refreshUrls(channel.client, expired);
+
+    const files = [];
+    const sent = [];
+    for (const entry of entries) {
+        if (entry.path) {
+            let data = fileCache.get(entry.path);
+            if (!data) {
+                data = await fs.promises.readFile(entry.path).catch(() => null);
+                if (data) remember(entry.path, data);
+            }
+            if (data) {
+                files.push({ attachment: data, name: entry.name });
+                sent.push(entry);
+                continue;
+            }
+        }
+        const url = refreshed.get(entry.url) || entry.url;
+        if (isUrlValid(url)) {
+            files.push({ attachment: url, name: entry.name });
+            sent.push(entry);
+        } else {
+            console.error(`[StickyMessages] The attachment ${entry.name} of a sticky in channel ${channel.id} is gone and was not sent`);
+        }
+    }
+    return { files, sent };
+}
+
+/**
+ * Stores the CDN URLs of a message just posted on the entries it was sent
+ * with, so the next repost can reuse them. Changes the entries in place.
+ * @param {Object[]} sent - Entries returned by filesFor()
+ * @param {Object} message - Posted message, from the bot or a webhook
+ */
+function rememberPosted(sent, message) {
+    const posted = message.attachments instanceof Map ? [...message.attachments.values()] : (message.attachments || []);
+    sent.forEach((entry, i) => {
+        if (posted[i] && posted[i].url) entry.url = posted[i].url;
+    });
+}
+
+module.exports = {
+    MAX_FILES,
+    settings,
+    isUrlValid,
+    save,
+    removeFiles,
+    filesOf,
+    freshUrl,
+    filesFor,
+    rememberPosted,
+};
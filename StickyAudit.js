@@ -0,0 +1,128 @@
+const Discord = require("discord.js");
+const StickyStore = require("./StickyStore");
+const StickySettings = require("./StickySettings");
+
+/**
+ * Audit trail of sticky changes: who created, edited, paused or deleted a
+ * sticky and when, with its content before and after. Entries are stored
+ * through StickyStore and, when a mod-log channel is set, posted there too.
+ */
+
+const ACTION_COLORS = {
+    create: 'Green',
+    edit: 'Blue',
+    pool: 'Blue',
+    delete: 'Red',
+    cleanup: 'Orange',
+    pause: 'Yellow',
+    resume: 'Green',
+    webhook: 'Grey',
+    broken: 'DarkRed',
+    repaired: 'Green',
+};
+
+/**
+ * Shortens text to fit an embed field.
+ * @param {string|null} text
+ * @param {number} [max]
+ * @returns {string}
+ */
+function clip(text, max = 1024) {
+    if (!text) return '*none*';
+    return text.length > max ? `${text.slice(0, max - 3)}...` : text;
+}
+
+/**
+ * Builds the embed shown for an entry in the mod-log and in /sticky history.
+ * @param {Object} entry - Audit entry
+ * @returns {Discord.EmbedBuilder}
+ */
+function buildEntryEmbed(entry) {
+    const embed = new Discord.EmbedBuilder()
+        .setTitle(`Sticky ${entry.action}: ${entry.stickyName || 'unknown'}`)
+        .setColor(ACTION_COLORS[entry.action] || 'Grey')
+        .addFields(
+            { name: 'Channel', value: entry.channelId ? `<#${entry.channelId}>` : '*unknown*', inline: true },
+            { name: 'By', value: entry.actorId ? `<@${entry.actorId}>` : 'System', inline: true },
+        )
+        .setTimestamp(new Date(entry.createdAt));
+    if (entry.changes && entry.changes.length > 0) embed.addFields({ name: 'Changed', value: clip(entry.changes.join(', ')) });
+    if (entry.before !== null && entry.before !== undefined) embed.addFields({ name: 'Before', value: clip(entry.before) });
+    if (entry.after !== null && entry.after !== undefined) embed.addFields({ name: 'After', value: clip(entry.after) });
+    return embed;
+}
+
+/**
+ * Posts an entry to the mod-log channel of its guild, if one is set.
+ * @param {Discord.Client} client
+ * @param {Object} entry
+ */
+async function postToModLog(client, entry) {
+    const settings = StickySettings.forGuild(entry.guildId);
+    const channelId = settings.AuditLog && settings.AuditLog.ModLogChannelId;
+    if (!channelId) return;
+    const channel = client.channels.cache.get(String(channelId));
+    // The config.yml channel belongs to one guild, the others must not log there
+    if (!channel || !channel.guild || channel.guild.id !== entry.guildId) return;
+    await channel.send({ embeds: [buildEntryEmbed(entry)] });
+}
+
+/**
+ * Records a change to a sticky. Never throws: a failing audit log must not
+ * break the change it describes.
+ * @param {Discord.Client} client
+ * @param {Object} change
+ * @param {string} change.action - create, edit, pool, delete, cleanup, webhook, ...
+ * @param {Object} change.sticky - The sticky record (after the change, or as deleted)
+ * @param {Discord.User} [change.actor] - Who made the change; leave out for automatic changes
+ * @param {string} [change.before] - Content before the change
+ * @param {string} [change.after] - Content after the change
+ * @param {string[]} [change.changes] - Names of the changed fields
+ */
+async function record(client, { action, sticky, actor = null, before = null, after = null, changes = [] }) {
+    const settings = StickySettings.forGuild(sticky.guildId);
+    if (settings.AuditLog && settings.AuditLog.Enabled === false) return;
+    const entry = {
+        guildId: sticky.guildId,
+        channelId: sticky.channelId,
+        stickyId: String(sticky._id),
+        stickyName: sticky.name,
+        action,
+        actorId: actor ? actor.id : null,
+        actorName: actor ? (actor.tag || actor.username) : null,
+        before,
+        after,
+        changes,
+        createdAt: new Date(),
+    };
+    try {
+        await StickyStore.addAuditEntry(entry);
+        await postToModLog(client, entry);
+    } catch (e) {
+        console.error(`[StickyMessages] Failed to record the ${action} of sticky "${sticky.name}":`, e);
+    }
+}
+
+/**
+ * Reads a page of the audit trail of a guild.
+ * @param {string} guildId
+ * @param {Object} [options]
+ * @param {string} [options.channelId] - Only entries of this channel
+ * @param {string} [options.name] - Only entries of stickies with this name
+ * @param {number} [options.page] - 1-based page number
+ * @param {number} [options.pageSize]
+ * @returns {Promise<{ entries: Object[], hasMore: boolean }>}
+ */
+async function history(guildId, { channelId = null, name = null, page = 1, pageSize = 10 } = {}) {
+    const filter = { guildId };
+    if (channelId) filter.channelId = channelId;
+    if (name) filter.stickyName = name;
+    const entries = await StickyStore.findAuditEntries(filter, { skip: (page - 1) * pageSize, limit: pageSize + 1 });
+    return { entries: entries.slice(0, pageSize), hasMore: entries.length > pageSize };
+}
+
+module.exports = {
+    buildEntryEmbed,
+    record,
+    history,
+};
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// One entry of the sticky audit trail, see StickyAudit.js
+const stickyAuditSchema = new mongoose.Schema({
+    guildId: { type: String, required: true },
+    channelId: { type: String, default: null },
+    stickyId: { type: String, default: null },
+    stickyName: { type: String, default: null },
+    action: { type: String, required: true },
+    actorId: { type: String, default: null },
+    actorName: { type: String, default: null },
+    before: { type: String, default: null },
+    after: { type: String, default: null },
+    changes: { type: [String], default: [] },
+    createdAt: { type: Date, default: Date.now },
+});
+
+stickyAuditSchema.index({ guildId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StickyAudit', stickyAuditSchema);
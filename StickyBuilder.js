@@ -0,0 +1,113 @@
+const Discord = require("discord.js");
+
+/**
+ * The modal sticky builder of /sticky create and /sticky edit: a form with the
+ * title, description and footer, then an ephemeral preview with Save, Edit
+ * and Cancel buttons. Nothing is stored until Save is clicked.
+ */
+
+// How long the form and the preview wait for the user
+const MODAL_TIMEOUT_MS = 15 * 60 * 1000;
+const PREVIEW_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * @param {string} customId
+ * @param {Object} values - { title, message, footer } to prefill
+ * @param {string} heading - Title of the modal
+ * @param {number} messageLimit - Longest message the sticky can post
+ * @returns {Discord.ModalBuilder}
+ */
+function buildModal(customId, values, heading, messageLimit) {
+    const input = (id, label, style, maxLength, value, required) => {
+        const field = new Discord.TextInputBuilder()
+            .setCustomId(id)
+            .setLabel(label)
+            .setStyle(style)
+            .setMaxLength(maxLength)
+            .setRequired(required);
+        if (value) field.setValue(value.slice(0, maxLength));
+        return new Discord.ActionRowBuilder().addComponents(field);
+    };
+    return new Discord.ModalBuilder()
+        .setCustomId(customId)
+        .setTitle(heading.slice(0, 45))
+        .addComponents(
+            input('title', 'Title (empty for the default)', Discord.TextInputStyle.Short, 256, values.title, false),
+            input('message', 'Description', Discord.TextInputStyle.Paragraph, Math.min(messageLimit, 4000), values.message, true),
+            input('footer', 'Footer (empty for the default)', Discord.TextInputStyle.Short, 2048, values.footer, false),
+        );
+}
+
+/**
+ * @param {Discord.ModalSubmitInteraction} submit
+ * @returns {{ title: string|null, message: string, footer: string|null }}
+ */
+function readModal(submit) {
+    const read = id => submit.fields.getTextInputValue(id).trim() || null;
+    return { title: read('title'), message: submit.fields.getTextInputValue('message'), footer: read('footer') };
+}
+
+/**
+ * The preview message: the sticky as it will look, with the buttons.
+ * @param {Object} payload - From StickyService.buildPayload
+ * @param {string} note - Shown above the preview
+ * @param {boolean} canSave - Whether the Save button is enabled
+ * @returns {Object}
+ */
+function buildPreview(payload, note, canSave) {
+    const buttons = new Discord.ActionRowBuilder().addComponents(
+        new Discord.ButtonBuilder().setCustomId('sticky_builder_save').setLabel('Save').setStyle(Discord.ButtonStyle.Success).setDisabled(!canSave),
+        new Discord.ButtonBuilder().setCustomId('sticky_builder_edit').setLabel('Edit').setStyle(Discord.ButtonStyle.Primary),
+        new Discord.ButtonBuilder().setCustomId('sticky_builder_cancel').setLabel('Cancel').setStyle(Discord.ButtonStyle.Secondary),
+    );
+    const content = payload.content ? `${note}\n\n${payload.content}` : note;
+    return { content: content.slice(0, 2000), embeds: payload.embeds || [], components: [buttons] };
+}
+
+/**
+ * Runs the builder: shows the form on an interaction, previews what was
+ * entered and loops back to the form on Edit until the user saves or cancels.
+ * @param {Discord.ChatInputCommandInteraction} interaction - Must not be replied to yet
+ * @param {Object} options
+ * @param {string} options.heading - Title of the form
+ * @param {Object} options.values - { title, message, footer } to prefill
+ * @param {number} options.messageLimit - Longest message the sticky can post, see StickyService.contentLimit
+ * @param {function(Object): Object} options.preview - Builds the preview payload for the entered values
+ * @param {function(Object): (string|null)} [options.check] - Why the entered values can't be saved, if they can't
+ * @param {function(Discord.ButtonInteraction, Object): Promise} options.save - Stores the values; must answer the button interaction
+ */
+async function run(interaction, { heading, values, messageLimit, preview, check = () => null, save }) {
+    const customId = `sticky_builder_${interaction.id}`;
+    const byUser = i => i.user.id === interaction.user.id;
+    const note = 'This is a preview, nothing is saved until you click Save.';
+    let source = interaction;
+    let owner = null;
+
+    for (;;) {
+        await source.showModal(buildModal(customId, values, heading, messageLimit));
+        const submit = await source.awaitModalSubmit({ filter: i => i.customId === customId && byUser(i), time: MODAL_TIMEOUT_MS }).catch(() => null);
+        if (!submit) {
+            if (owner) await owner.editReply({ content: 'The builder timed out, nothing was saved.', embeds: [], components: [] }).catch(() => {});
+            return;
+        }
+        values = readModal(submit);
+
+        const problem = check(values);
+        const view = buildPreview(preview(values), problem ? `${problem} Click Edit to change it.` : note, !problem);
+        const message = owner ? await submit.update({ ...view, fetchReply: true }) : await submit.reply({ ...view, ephemeral: true, fetchReply: true });
+        owner = owner || submit;
+
+        const click = await message.awaitMessageComponent({ filter: byUser, time: PREVIEW_TIMEOUT_MS }).catch(() => null);
+        if (!click) {
+            await owner.editReply({ content: 'The builder timed out, nothing was saved.', embeds: [], components: [] }).catch(() => {});
+            return;
+        }
+        if (click.customId === 'sticky_builder_save') return save(click, values);
+        if (click.customId === 'sticky_builder_cancel') return click.update({ content: 'Cancelled, nothing was saved.', embeds: [], components: [] });
+        source = click;
+    }
+}
+
+module.exports = {
+    run,
+};
@@ -0,0 +1,140 @@
+const Discord = require("discord.js");
+const yaml = require("js-yaml");
+const fs = require("fs");
+const config = yaml.load(fs.readFileSync("./addons/StickyMessages/config.yml", "utf8"));
+
+/**
+ * Buttons under a sticky: link buttons, buttons that give or take a role, and
+ * callback buttons handled by code registered with registerCallback().
+ *
+ * Everything a click needs is in the button's custom ID, so the buttons keep
+ * working on every repost and after a restart without looking anything up.
+ */
+
+const CUSTOM_ID_PREFIX = 'sticky_btn';
+const MAX_ROWS = 3;
+const MAX_PER_ROW = 5;
+const STYLES = {
+    primary: Discord.ButtonStyle.Primary,
+    secondary: Discord.ButtonStyle.Secondary,
+    success: Discord.ButtonStyle.Success,
+    danger: Discord.ButtonStyle.Danger,
+};
+
+// callbackId -> function(interaction, { sticky, callbackId })
+const callbacks = new Map();
+
+/**
+ * Registers the handler of callback buttons with this ID, e.g. from another
+ * addon: registerCallback('open-ticket', interaction => ...). The handler must
+ * answer the interaction.
+ * @param {string} callbackId
+ * @param {function(Discord.ButtonInteraction, Object): Promise} handler
+ */
+function registerCallback(callbackId, handler) {
+    callbacks.set(callbackId, handler);
+}
+
+/**
+ * @param {string} callbackId
+ */
+function unregisterCallback(callbackId) {
+    callbacks.delete(callbackId);
+}
+
+/**
+ * The custom ID a button of a sticky is sent with.
+ * @param {Object} button - Entry of a sticky's buttons
+ * @returns {string|null} Null for link buttons
+ */
+function customIdOf(button) {
+    if (button.type === 'role') return `${CUSTOM_ID_PREFIX}:role:${button.roleId}`;
+    if (button.type === 'callback') return `${CUSTOM_ID_PREFIX}:cb:${button.callbackId}`;
+    return null;
+}
+
+/**
+ * Builds the component rows of a sticky's buttons.
+ * @param {Object[]} buttons - The sticky's buttons, each with a row from 1 to MAX_ROWS
+ * @returns {Discord.ActionRowBuilder[]}
+ */
+function buildRows(buttons = []) {
+    const rows = [];
+    for (const button of buttons) {
+        const index = Math.min(Math.max((button.row || 1) - 1, 0), MAX_ROWS - 1);
+        rows[index] = rows[index] || [];
+        const component = new Discord.ButtonBuilder().setLabel(button.label);
+        if (button.type === 'link') component.setStyle(Discord.ButtonStyle.Link).setURL(button.url);
+        else component.setStyle(STYLES[button.style] || Discord.ButtonStyle.Secondary).setCustomId(customIdOf(button));
+        if (button.emoji) component.setEmoji(button.emoji);
+        rows[index].push(component);
+    }
+    return rows.filter(Boolean).map(components => new Discord.ActionRowBuilder().addComponents(components.slice(0, MAX_PER_ROW)));
+}
+
+/**
+ * Gives or takes the role of a role button.
+ * @param {Discord.ButtonInteraction} interaction
+ * @param {string} roleId
+ */
+async function toggleRole(interaction, roleId) {
+    const role = interaction.guild.roles.cache.get(roleId);
+    if (!role) return interaction.reply({ content: 'The role of this button no longer exists.', ephemeral: true });
+    if (!role.editable) return interaction.reply({ content: `I'm not allowed to give the ${role.name} role, ask a moderator.`, ephemeral: true });
+
+    const member = interaction.member;
+    if (member.roles.cache.has(role.id)) {
+        await member.roles.remove(role, 'Sticky role button');
+        return interaction.reply({ content: `You no longer have the ${role.name} role.`, ephemeral: true });
+    }
+    await member.roles.add(role, 'Sticky role button');
+    return interaction.reply({ content: `You now have the ${role.name} role!`, ephemeral: true });
+}
+
+/**
+ * Whether an interaction is a click on one of the buttons of a sticky.
+ * @param {Discord.Interaction} interaction
+ * @returns {boolean}
+ */
+function isStickyButton(interaction) {
+    return interaction.isButton() && interaction.customId.startsWith(`${CUSTOM_ID_PREFIX}:`);
+}
+
+/**
+ * Handles a click on a sticky button. Callback buttons without a registered
+ * handler answer with their reply from config.yml Buttons.Callbacks, if any.
+ * @param {Discord.ButtonInteraction} interaction
+ * @param {Object|null} sticky - The sticky the clicked message belongs to, when known
+ * @returns {Promise<boolean>} Whether the interaction was a sticky button
+ */
+async function handleInteraction(interaction, sticky) {
+    if (!isStickyButton(interaction)) return false;
+    const [, type, ...rest] = interaction.customId.split(':');
+    const value = rest.join(':');
+
+    if (type === 'role') {
+        await toggleRole(interaction, value);
+        return true;
+    }
+    const handler = callbacks.get(value);
+    if (handler) {
+        await handler(interaction, { sticky, callbackId: value });
+        return true;
+    }
+    const replies = (config.Buttons && config.Buttons.Callbacks) || {};
+    const content = replies[value] || 'This button is not set up yet.';
+    await interaction.reply({ content, ephemeral: true });
+    return true;
+}
+
+module.exports = {
+    MAX_ROWS,
+    MAX_PER_ROW,
+    STYLES,
+    registerCallback,
+    unregisterCallback,
+    customIdOf,
+    buildRows,
+    isStickyButton,
+    handleInteraction,
+};
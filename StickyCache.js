@@ -0,0 +1,157 @@
+const yaml = require("js-yaml");
+const fs = require("fs");
+const config = yaml.load(fs.readFileSync("./addons/StickyMessages/config.yml", "utf8"));
+const StickyStore = require("./StickyStore");
+
+/**
+ * In-process cache of sticky records, keyed by channel, so that messages in
+ * channels without a sticky never reach the database. Message counters are
+ * kept here and written to the store in batches by flush().
+ *
+ * The database stays the source of truth: the cache is loaded from it at
+ * startup and a channel is reloaded (refresh) after anything writes to its
+ * records. Counts that were not flushed yet are re-applied on reload.
+ */
+
+const stickiesByChannel = new Map();
+// channelId -> Map of sticky _id -> messages counted but not written yet
+const pendingCounts = new Map();
+let loaded = false;
+
+/**
+ * The unflushed count of a record.
+ * @param {Object} rec
+ * @returns {number}
+ */
+function pendingOf(rec) {
+    const counts = pendingCounts.get(rec.channelId);
+    return (counts && counts.get(rec._id)) || 0;
+}
+
+/**
+ * Loads every sticky record into the cache.
+ */
+async function load() {
+    const records = await StickyStore.find();
+    stickiesByChannel.clear();
+    for (const rec of records) {
+        rec.msgCount += pendingOf(rec);
+        if (!stickiesByChannel.has(rec.channelId)) stickiesByChannel.set(rec.channelId, []);
+        stickiesByChannel.get(rec.channelId).push(rec);
+    }
+    loaded = true;
+}
+
+/**
+ * Reloads the records of one channel from the database. Call it after
+ * creating, editing or deleting stickies of that channel.
+ * @param {string} channelId
+ * @returns {Promise<Object[]>} The channel's records
+ */
+async function refresh(channelId) {
+    const records = await StickyStore.find({ channelId });
+    if (records.length === 0) {
+        stickiesByChannel.delete(channelId);
+        pendingCounts.delete(channelId);
+        return records;
+    }
+    records.forEach(rec => { rec.msgCount += pendingOf(rec); });
+    stickiesByChannel.set(channelId, records);
+    return records;
+}
+
+/**
+ * Returns the cached records of a channel. Until the startup load finished,
+ * the database is asked instead.
+ * @param {string} channelId
+ * @returns {Promise<Object[]>}
+ */
+async function getChannel(channelId) {
+    if (!loaded) return refresh(channelId);
+    return stickiesByChannel.get(channelId) || [];
+}
+
+/**
+ * Counts one message for stickies of a channel, in memory only.
+ * @param {string} channelId
+ * @param {string[]} stickyIds - The stickies it counts for, see StickyFilters
+ */
+function increment(channelId, stickyIds) {
+    const counts = pendingCounts.get(channelId) || new Map();
+    for (const sticky of stickiesByChannel.get(channelId) || []) {
+        if (!stickyIds.includes(sticky._id)) continue;
+        sticky.msgCount += 1;
+        counts.set(sticky._id, (counts.get(sticky._id) || 0) + 1);
+    }
+    if (counts.size > 0) pendingCounts.set(channelId, counts);
+}
+
+/**
+ * Drops the unflushed counts of a channel; used when its stickies are
+ * reposted and their counters go back to 0 in the database.
+ * @param {string} channelId
+ */
+function resetCounts(channelId) {
+    pendingCounts.delete(channelId);
+}
+
+/**
+ * The channels with message counts that were not written yet.
+ * @returns {string[]}
+ */
+function pendingChannels() {
+    return [...pendingCounts.keys()];
+}
+
+/**
+ * Writes the pending message counts of a channel to the database. Stickies
+ * that counted the same messages share one increment. Counts that failed to
+ * write are put back, so the next flush retries them.
+ *
+ * Run it in the channel's StickyQueue slot: a repost that resets the counters
+ * while an increment is still being written would be overwritten by it.
+ * @param {string} channelId
+ */
+async function flush(channelId) {
+    const counts = pendingCounts.get(channelId);
+    if (!counts) return;
+    pendingCounts.delete(channelId);
+    const cached = stickiesByChannel.get(channelId) || [];
+    const values = new Set(counts.values());
+    // The common case: no filters, every sticky of the channel counted every message
+    const groups = values.size === 1 && cached.length === counts.size && cached.every(rec => counts.has(rec._id))
+        ? [[{ channelId }, [...values][0]]]
+        : [...counts].map(([_id, count]) => [{ channelId, _id }, count]);
+    let error = null;
+    for (const [filter, count] of groups) {
+        try {
+            await StickyStore.increment(filter, 'msgCount', count);
+        } catch (e) {
+            const retry = pendingCounts.get(channelId) || new Map();
+            const failed = filter._id === undefined ? [...counts.keys()] : [filter._id];
+            for (const id of failed) retry.set(id, (retry.get(id) || 0) + counts.get(id));
+            pendingCounts.set(channelId, retry);
+            error = e;
+        }
+    }
+    if (error) throw error;
+}
+
+/**
+ * How often pending counts are flushed.
+ * @returns {number} Interval in ms
+ */
+function flushInterval() {
+    return ((config.Cache && config.Cache.FlushIntervalSeconds) || 10) * 1000;
+}
+
+module.exports = {
+    load,
+    refresh,
+    getChannel,
+    increment,
+    resetCounts,
+    pendingChannels,
+    flush,
+    flushInterval,
+};
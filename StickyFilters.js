@@ -0,0 +1,94 @@
+/**
+ * Counting filters of stickies: which messages count towards a repost. Every
+ * sticky has its own countFilters (see StickyRecord.createDefaults); messages
+ * they reject don't raise its counter. With requireLinks or keywords set only
+ * messages with a link or one of the keywords count.
+ */
+
+const LINK_PATTERN = /https?:\/\/\S+/i;
+// Unicode and custom emojis with the joiners and modifiers that build them
+const EMOJI_ONLY_PATTERN = /^(?:\s|<a?:\w+:\d+>|\p{Extended_Pictographic}|\p{Emoji_Modifier}|\p{Regional_Indicator}|\uFE0F|\u200D|\u20E3)+$/u;
+
+/**
+ * Whether a message holds nothing but files.
+ * @param {Discord.Message} message
+ * @returns {boolean}
+ */
+function isAttachmentOnly(message) {
+    return !(message.content || '').trim() && message.attachments && message.attachments.size > 0;
+}
+
+/**
+ * Whether a message is only emojis or a sticker, the chat form of a reaction.
+ * @param {Discord.Message} message
+ * @returns {boolean}
+ */
+function isEmojiOnly(message) {
+    const content = (message.content || '').trim();
+    if (!content) return !!(message.stickers && message.stickers.size > 0);
+    return EMOJI_ONLY_PATTERN.test(content);
+}
+
+/**
+ * Whether a message counts towards the repost of a sticky.
+ * @param {Object} sticky - StickyMessage record
+ * @param {Discord.Message} message
+ * @returns {boolean}
+ */
+function counts(sticky, message) {
+    const filters = sticky.countFilters;
+    if (!filters) return true;
+    const content = (message.content || '').trim();
+
+    // Slash command replies are sent by the command's bot, so they are dropped too
+    if (filters.ignoreBots && (message.author.bot || message.webhookId)) return false;
+    if (filters.ignoreUsers.includes(message.author.id)) return false;
+    if (filters.ignoreRoles.length > 0 && message.member && filters.ignoreRoles.some(roleId => message.member.roles.cache.has(roleId))) return false;
+    if (filters.ignoreAttachmentOnly && isAttachmentOnly(message)) return false;
+    if (filters.ignoreEmojiOnly && isEmojiOnly(message)) return false;
+    if (filters.minLength > 0 && content.length < filters.minLength && !isAttachmentOnly(message)) return false;
+
+    if (!filters.requireLinks && filters.keywords.length === 0) return true;
+    if (filters.requireLinks && LINK_PATTERN.test(content)) return true;
+    const lower = content.toLowerCase();
+    return filters.keywords.some(keyword => lower.includes(keyword.toLowerCase()));
+}
+
+/**
+ * Whether a sticky filters anything at all.
+ * @param {Object} sticky - StickyMessage record
+ * @returns {boolean}
+ */
+function isFiltered(sticky) {
+    const filters = sticky.countFilters;
+    return !!filters && (filters.ignoreBots || filters.ignoreUsers.length > 0 || filters.ignoreRoles.length > 0 || filters.minLength > 0
+        || filters.ignoreAttachmentOnly || filters.ignoreEmojiOnly || filters.requireLinks || filters.keywords.length > 0);
+}
+
+/**
+ * Describes the counting filters of a sticky in one sentence.
+ * @param {Object} sticky - StickyMessage record
+ * @returns {string}
+ */
+function describe(sticky) {
+    if (!isFiltered(sticky)) return 'counts every message';
+    const filters = sticky.countFilters;
+    const parts = [];
+    if (filters.ignoreBots) parts.push('ignores bots and webhooks');
+    if (filters.ignoreRoles.length > 0) parts.push(`ignores ${filters.ignoreRoles.map(id => `<@&${id}>`).join(', ')}`);
+    if (filters.ignoreUsers.length > 0) parts.push(`ignores ${filters.ignoreUsers.map(id => `<@${id}>`).join(', ')}`);
+    if (filters.minLength > 0) parts.push(`ignores messages under ${filters.minLength} characters`);
+    if (filters.ignoreAttachmentOnly) parts.push('ignores messages with only files');
+    if (filters.ignoreEmojiOnly) parts.push('ignores messages with only emojis or a sticker');
+    const only = [];
+    if (filters.requireLinks) only.push('a link');
+    if (filters.keywords.length > 0) only.push(`one of ${filters.keywords.map(keyword => `"${keyword}"`).join(', ')}`);
+    if (only.length > 0) parts.push(`only counts messages with ${only.join(' or ')}`);
+    return parts.join('; ');
+}
+
+module.exports = {
+    counts,
+    isFiltered,
+    describe,
+};
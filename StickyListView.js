@@ -0,0 +1,187 @@
+const Discord = require("discord.js");
+const StickyService = require("./StickyService");
+const StickyCache = require("./StickyCache");
+const StickyWebhooks = require("./StickyWebhooks");
+const StickyFilters = require("./StickyFilters");
+
+/**
+ * The paginated /sticky list view: one embed page of stickies with buttons to
+ * page through them, a menu to filter by type and a button to remove records
+ * whose channel no longer exists.
+ */
+
+const PAGE_SIZE = 5;
+
+const TYPE_FILTERS = {
+    all: { label: 'All stickies', test: () => true },
+    embed: { label: 'Embeds', test: entry => entry.sticky.useEmbed },
+    text: { label: 'Plain text', test: entry => !entry.sticky.useEmbed },
+    webhook: { label: 'Webhook stickies', test: entry => entry.sticky.useWebhook },
+    paused: { label: 'Paused', test: entry => entry.sticky.paused },
+    scheduled: { label: 'Scheduled, not shown now', test: entry => !entry.sticky.paused && entry.sticky.scheduleActive === false },
+    broken: { label: 'Broken', test: entry => !!entry.sticky.brokenReason },
+    threads: { label: 'Thread templates and copies', test: entry => entry.sticky.threadTemplate || !!entry.sticky.templateId },
+    orphaned: { label: 'Orphaned', test: entry => entry.orphaned },
+};
+
+/**
+ * Flattens and shortens text for a one-line preview.
+ * @param {string} text
+ * @param {number} [max]
+ * @returns {string}
+ */
+function preview(text, max = 150) {
+    const flat = (text || '').replace(/\s+/g, ' ').trim();
+    if (!flat) return '*empty*';
+    return flat.length > max ? `${flat.slice(0, max - 3)}...` : flat;
+}
+
+/**
+ * Looks up the channel of every sticky. A sticky is orphaned only when Discord
+ * says its channel is gone; a channel that just isn't cached is fetched, and
+ * one that can't be fetched for another reason is left alone.
+ * @param {Discord.Guild} guild
+ * @param {Object[]} stickies - StickyMessage records of that guild
+ * @returns {Promise<Object[]>} Entries as { sticky, channel, orphaned }
+ */
+async function loadEntries(guild, stickies) {
+    const channels = new Map();
+    for (const channelId of new Set(stickies.map(sticky => sticky.channelId))) {
+        let channel = guild.channels.cache.get(channelId) || null;
+        let orphaned = false;
+        if (!channel) {
+            channel = await guild.channels.fetch(channelId).catch(e => {
+                if (e.code === Discord.RESTJSONErrorCodes.UnknownChannel) orphaned = true;
+                else console.error(`[StickyMessages] Could not fetch channel ${channelId} for the sticky list:`, e);
+                return null;
+            });
+        }
+        channels.set(channelId, { channel, orphaned });
+    }
+
+    const entries = [];
+    for (const sticky of StickyService.sortStickies(stickies)) {
+        // The cache holds message counts that haven't been written to the store yet
+        const cached = (await StickyCache.getChannel(sticky.channelId)).find(rec => rec._id === sticky._id);
+        entries.push({ sticky: cached ? { ...sticky, msgCount: cached.msgCount } : sticky, ...channels.get(sticky.channelId) });
+    }
+    return entries;
+}
+
+/**
+ * @param {Object[]} entries
+ * @param {string} type - Key of TYPE_FILTERS
+ * @returns {Object[]}
+ */
+function filterEntries(entries, type) {
+    return entries.filter((TYPE_FILTERS[type] || TYPE_FILTERS.all).test);
+}
+
+/**
+ * Describes what makes a sticky repost and how far along it is.
+ * @param {Object} sticky
+ * @returns {string}
+ */
+function describeCounter(sticky) {
+    const trigger = StickyService.triggerSettings(sticky);
+    const counter = `${sticky.msgCount}/${trigger.maxMessages} messages`;
+    switch (trigger.mode) {
+        case 'time': return `every ${trigger.repostMinutes} min`;
+        case 'either': return `${counter} or every ${trigger.repostMinutes} min`;
+        case 'idle': return `${sticky.msgCount} messages, reposts after ${trigger.idleSeconds}s of silence`;
+        default: return counter;
+    }
+}
+
+/**
+ * Builds the embed field describing one sticky.
+ * @param {Object} entry
+ * @param {string} guildId
+ * @returns {{ name: string, value: string }}
+ */
+function buildEntryField(entry, guildId) {
+    const { sticky, channel, orphaned } = entry;
+    const where = channel ? `#${channel.name}` : (orphaned ? 'deleted channel' : `channel ${sticky.channelId}`);
+    let status = 'live';
+    if (sticky.threadTemplate) status = 'template for new threads';
+    else if (sticky.brokenReason) status = `⚠️ broken: ${sticky.brokenReason}`;
+    else if (sticky.paused) status = sticky.pausedUntil ? `paused until <t:${Math.floor(sticky.pausedUntil.getTime() / 1000)}:f>` : 'paused';
+    else if (!StickyService.isLive(sticky)) status = 'scheduled, not shown now';
+    const webhookProblem = StickyWebhooks.problemOf(sticky, channel);
+    const identity = sticky.webhookName ? ` as ${sticky.webhookName}` : '';
+    const sender = sticky.useWebhook ? ` • Webhook${identity}${webhookProblem ? ` ⚠️ ${webhookProblem}` : ''}` : '';
+
+    const lines = [
+        `Priority ${sticky.priority} • ${sticky.useEmbed ? 'Embed' : 'Text'}${sender} • ${status}`,
+        `> ${preview(StickyService.currentContent(sticky))}`,
+        `Counter: ${describeCounter(sticky)}${StickyFilters.isFiltered(sticky) ? ' (filtered)' : ''} • ${sticky.repostCount} reposts`
+            + (sticky.lastPostedAt ? ` • last <t:${Math.floor(sticky.lastPostedAt.getTime() / 1000)}:R>` : ''),
+    ];
+    if (orphaned) lines.push(`⚠️ Its channel (${sticky.channelId}) no longer exists.`);
+    else if (sticky.threadTemplate) lines.push(`Posted in every new thread of ${channel ? `<#${channel.id}>` : 'its channel'}`);
+    else if (sticky.messageId) lines.push(`[Jump to the sticky](https://discord.com/channels/${guildId}/${sticky.channelId}/${sticky.messageId})`);
+    else lines.push('Not posted right now');
+
+    const kind = sticky.templateId ? ' (from a thread template)' : '';
+    return { name: `${where} • ${sticky.name}${kind}`.slice(0, 256), value: lines.join('\n').slice(0, 1024) };
+}
+
+/**
+ * Builds one page of the list, with its buttons and filter menu.
+ * @param {Object[]} entries - Every entry of the guild, from loadEntries()
+ * @param {Object} state
+ * @param {string} state.guildId
+ * @param {number} state.page - Zero-based; clamped to the pages there are
+ * @param {string} state.type - Key of TYPE_FILTERS
+ * @param {string|null} [state.channelId] - Channel the list was limited to
+ * @param {boolean} [state.confirmCleanup] - Ask to confirm removing the orphaned records
+ * @returns {{ embeds: Discord.EmbedBuilder[], components: Discord.ActionRowBuilder[], page: number }}
+ */
+function buildView(entries, { guildId, page, type, channelId = null, confirmCleanup = false }) {
+    const shown = filterEntries(entries, type);
+    const pages = Math.max(1, Math.ceil(shown.length / PAGE_SIZE));
+    const current = Math.min(Math.max(page, 0), pages - 1);
+    const orphans = entries.filter(entry => entry.orphaned).length;
+
+    const summary = [`${shown.length} of ${entries.length} stickies`];
+    if (type !== 'all') summary.push(`filter: ${TYPE_FILTERS[type].label}`);
+    if (channelId) summary.push(`in <#${channelId}>`);
+    if (orphans > 0) summary.push(`⚠️ ${orphans} orphaned`);
+    const embed = new Discord.EmbedBuilder()
+        .setTitle('Sticky Messages')
+        .setColor(orphans > 0 ? 'Orange' : 'Green')
+        .setDescription(shown.length > 0 ? summary.join(' • ') : `${summary.join(' • ')}\nNo sticky matches this filter.`)
+        .addFields(shown.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE).map(entry => buildEntryField(entry, guildId)))
+        .setFooter({ text: `Page ${current + 1}/${pages}` });
+
+    const navigation = new Discord.ActionRowBuilder().addComponents(
+        new Discord.ButtonBuilder().setCustomId('sticky_list_prev').setLabel('Previous').setStyle(Discord.ButtonStyle.Secondary).setDisabled(current === 0),
+        new Discord.ButtonBuilder().setCustomId('sticky_list_next').setLabel('Next').setStyle(Discord.ButtonStyle.Secondary).setDisabled(current >= pages - 1),
+        new Discord.ButtonBuilder().setCustomId('sticky_list_refresh').setLabel('Refresh').setStyle(Discord.ButtonStyle.Primary),
+    );
+    if (confirmCleanup && orphans > 0) {
+        navigation.addComponents(
+            new Discord.ButtonBuilder().setCustomId('sticky_list_cleanup_confirm').setLabel(`Delete ${orphans} orphaned`).setStyle(Discord.ButtonStyle.Danger),
+            new Discord.ButtonBuilder().setCustomId('sticky_list_cleanup_cancel').setLabel('Cancel').setStyle(Discord.ButtonStyle.Secondary),
+        );
+    } else if (orphans > 0) {
+        navigation.addComponents(
+            new Discord.ButtonBuilder().setCustomId('sticky_list_cleanup').setLabel('Remove orphaned').setStyle(Discord.ButtonStyle.Danger),
+        );
+    }
+    const filter = new Discord.ActionRowBuilder().addComponents(
+        new Discord.StringSelectMenuBuilder()
+            .setCustomId('sticky_list_type')
+            .setPlaceholder('Filter by type')
+            .addOptions(Object.entries(TYPE_FILTERS).map(([value, { label }]) => ({ label, value, default: value === type }))),
+    );
+
+    return { embeds: [embed], components: [navigation, filter], page: current };
+}
+
+module.exports = {
+    TYPE_FILTERS,
+    loadEntries,
+    filterEntries,
+    buildView,
+};
@@ -1,7 +1,43 @@
 const mongoose = require('mongoose');
 
+const embedFieldSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    value: { type: String, required: true },
+    inline: { type: Boolean, default: false },
+}, { _id: false });
+
+// Per-sticky embed overrides; null means "use the config.yml default"
+const appearanceSchema = new mongoose.Schema({
+    title: { type: String, default: null },
+    color: { type: String, default: null },
+    image: { type: String, default: null },
+    thumbnail: { type: String, default: null },
+    footerText: { type: String, default: null },
+    footerIconURL: { type: String, default: null },
+    timestamp: { type: Boolean, default: null },
+    authorName: { type: String, default: null },
+    authorIconURL: { type: String, default: null },
+    fields: { type: [embedFieldSchema], default: [] },
+}, { _id: false });
+
+// Which messages count towards a repost, see StickyFilters.js
+const countFiltersSchema = new mongoose.Schema({
+    ignoreBots: { type: Boolean, default: false },
+    ignoreRoles: { type: [String], default: [] },
+    ignoreUsers: { type: [String], default: [] },
+    minLength: { type: Number, default: 0 },
+    ignoreAttachmentOnly: { type: Boolean, default: false },
+    ignoreEmojiOnly: { type: Boolean, default: false },
+    requireLinks: { type: Boolean, default: false },
+    keywords: { type: [String], default: [] },
+}, { _id: false });
+
+// Fields and defaults are mirrored in StickyRecord.createDefaults() for the SQLite and memory storage backends
 const stickyMessageSchema = new mongoose.Schema({
-    channelId: { type: String, required: true, unique: true },
+    guildId: { type: String, default: null, index: true },
+    channelId: { type: String, required: true },
+    name: { type: String, required: true, default: 'default' },
+    priority: { type: Number, default: 0 },
     message: { type: String, required: true },
     msgCount: { type: Number, default: 0 },
     messageId: { type: String, default: null },
@@ -11,6 +47,96 @@ const stickyMessageSchema = new mongoose.Schema({
     webhookToken: { type: String, default: null },
     webhookName: { type: String, default: null },
     webhookAvatarURL: { type: String, default: null },
+    appearance: { type: appearanceSchema, default: () => ({}) },
+    // Repost trigger; null falls back to RepostMode/MaxMessages/RepostMinutes/IdleSeconds in config.yml
+    repostMode: { type: String, enum: ['messages', 'time', 'either', 'idle', null], default: null },
+    maxMessages: { type: Number, default: null },
+    repostMinutes: { type: Number, default: null },
+    idleSeconds: { type: Number, default: null },
+    countFilters: { type: countFiltersSchema, default: () => ({}) },
+    lastPostedAt: { type: Date, default: null },
+    // Shown by the {repostCount} and {lastPoster} template variables
+    repostCount: { type: Number, default: 0 },
+    lastPoster: { type: String, default: null },
+    // Schedule: only shown between startsAt and expiresAt and, when set, inside one of the
+    // recurring windows ("mon-fri 09:00-17:00"). scheduleActive is the last state the scheduler applied.
+    startsAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+    activeWindows: { type: [String], default: [] },
+    scheduleActive: { type: Boolean, default: true },
+    // Rotating content: when the pool has entries, each repost shows the next one instead of message
+    pool: { type: [String], default: [] },
+    poolMode: { type: String, enum: ['sequential', 'random'], default: 'sequential' },
+    poolIndex: { type: Number, default: 0 },
+    // Who created the sticky and when; the full history is kept by StickyAudit.js
+    createdBy: { type: String, default: null },
+    createdAt: { type: Date, default: null },
+    // Paused stickies keep their settings but are not posted; pausedUntil resumes them automatically
+    paused: { type: Boolean, default: false },
+    pausedUntil: { type: Date, default: null },
+    pausedBy: { type: String, default: null },
+    // Slowmode: null falls back to EnableSlowmode/SlowmodeDelay and AdaptiveSlowmode.Enabled in config.yml.
+    // previousSlowmode is the channel's own rate limit, restored when no live sticky is left
+    slowmode: { type: Number, default: null },
+    adaptiveSlowmode: { type: Boolean, default: null },
+    previousSlowmode: { type: Number, default: null },
+    // Buttons under the sticky, see StickyButtons.js; type is link, role or callback
+    buttons: {
+        type: [{
+            _id: false,
+            type: { type: String, enum: ['link', 'role', 'callback'] },
+            label: String,
+            style: { type: String, default: null },
+            emoji: { type: String, default: null },
+            row: { type: Number, default: 1 },
+            url: { type: String, default: null },
+            roleId: { type: String, default: null },
+            callbackId: { type: String, default: null },
+        }],
+        default: [],
+    },
+    // Embeds posted after the sticky's own one, and files posted with it (see StickyAttachments.js)
+    extraEmbeds: {
+        type: [{
+            _id: false,
+            title: { type: String, default: null },
+            description: { type: String, default: null },
+            color: { type: String, default: null },
+            image: { type: String, default: null },
+            thumbnail: { type: String, default: null },
+            footerText: { type: String, default: null },
+        }],
+        default: [],
+    },
+    attachments: {
+        type: [{
+            _id: false,
+            name: String,
+            contentType: { type: String, default: null },
+            size: { type: Number, default: 0 },
+            url: { type: String, default: null },
+            path: { type: String, default: null },
+        }],
+        default: [],
+    },
+    // A template is posted in every new thread of its channel instead of the channel itself;
+    // the copy in each thread points back to it with templateId (see StickyThreads.js)
+    threadTemplate: { type: Boolean, default: false },
+    templateId: { type: String, default: null },
+    // Set by StickyReconciler when the sticky can't be posted, e.g. for missing permissions
+    brokenReason: { type: String, default: null },
+    brokenAt: { type: Date, default: null },
   });
 
+stickyMessageSchema.index({ channelId: 1, name: 1 }, { unique: true });
+
+/**
+ * Upgrades records created before a channel could hold more than one sticky:
+ * gives them a name and replaces the old unique channelId index.
+ */
+stickyMessageSchema.statics.migrate = async function () {
+    await this.updateMany({ name: { $exists: false } }, { $set: { name: 'default' } });
+    await this.syncIndexes();
+};
+
 module.exports = mongoose.model('StickyMessage', stickyMessageSchema);
@@ -0,0 +1,127 @@
+const yaml = require("js-yaml");
+const fs = require("fs");
+const { PermissionFlagsBits } = require("discord.js");
+const config = yaml.load(fs.readFileSync("./addons/StickyMessages/config.yml", "utf8"));
+const StickySettings = require("./StickySettings");
+
+/**
+ * Who may use each /sticky subcommand. A rule lists Roles (IDs or names) and
+ * Permissions (Discord permission names); a member passes with any one of
+ * them, and administrators always pass. Rules come from Permissions in
+ * config.yml, overridden per guild with /sticky permissions; subcommands
+ * without a rule of their own use the Default rule.
+ */
+
+const FALLBACK_RULE = { Roles: [], Permissions: ['ManageMessages'] };
+
+/**
+ * Cleans a rule up so both lists always exist.
+ * @param {Object} rule
+ * @returns {{ Roles: string[], Permissions: string[] }}
+ */
+function normalizeRule(rule) {
+    return {
+        Roles: ((rule && rule.Roles) || []).map(String),
+        Permissions: (rule && rule.Permissions) || [],
+    };
+}
+
+/**
+ * The rule config.yml sets for an action.
+ * @param {string} action - Subcommand name, or "webhook"
+ * @returns {{ Roles: string[], Permissions: string[] }}
+ */
+function configRule(action) {
+    const rules = config.Permissions || {};
+    return normalizeRule(rules[action] || rules.Default || FALLBACK_RULE);
+}
+
+/**
+ * The rule overrides a guild has set, keyed by action.
+ * @param {string} guildId
+ * @returns {Object}
+ */
+function guildRules(guildId) {
+    return StickySettings.overridesOf(guildId).Permissions || {};
+}
+
+/**
+ * The rule that applies to an action in a guild.
+ * @param {string} guildId
+ * @param {string} action - Subcommand name, or "webhook"
+ * @returns {{ Roles: string[], Permissions: string[], overridden: boolean }}
+ */
+function ruleFor(guildId, action) {
+    const override = guildRules(guildId)[action];
+    return override ? { ...normalizeRule(override), overridden: true } : { ...configRule(action), overridden: false };
+}
+
+/**
+ * Whether a permission name is one Discord knows, e.g. "ManageMessages".
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isPermission(name) {
+    return Object.prototype.hasOwnProperty.call(PermissionFlagsBits, name);
+}
+
+/**
+ * Whether a member holds a role, given by ID or (case-insensitive) name.
+ */
+function hasRole(member, role) {
+    const wanted = role.toLowerCase();
+    return member.roles.cache.has(role) || member.roles.cache.some(r => r.name.toLowerCase() === wanted);
+}
+
+/**
+ * Describes a rule for denial messages and /sticky permissions.
+ * @param {{ Roles: string[], Permissions: string[] }} rule
+ * @returns {string}
+ */
+function describeRule(rule) {
+    const roles = rule.Roles.map(role => (/^\d+$/.test(role) ? `<@&${role}>` : `@${role}`));
+    const permissions = rule.Permissions.map(name => name.replace(/([a-z])([A-Z])/g, '$1 $2'));
+    const parts = [];
+    if (roles.length > 0) parts.push(`${roles.length > 1 ? 'one of the roles' : 'the role'} ${roles.join(', ')}`);
+    if (permissions.length > 0) parts.push(`${permissions.length > 1 ? 'one of the permissions' : 'the permission'} ${permissions.join(', ')}`);
+    return parts.length > 0 ? parts.join(' or ') : 'nothing, everyone may use it';
+}
+
+/**
+ * Checks whether a member may perform an action.
+ * @param {Discord.GuildMember} member
+ * @param {string} guildId
+ * @param {string} action - Subcommand name, or "webhook"
+ * @returns {string|null} A denial message, or null when allowed
+ */
+function check(member, guildId, action) {
+    const rule = ruleFor(guildId, action);
+    if (rule.Roles.length === 0 && rule.Permissions.length === 0) return null;
+    if (member.permissions.has('Administrator')) return null;
+    if (rule.Roles.some(role => hasRole(member, role))) return null;
+    if (rule.Permissions.some(name => isPermission(name) && member.permissions.has(name))) return null;
+
+    const what = action === 'webhook' ? 'send stickies through a webhook' : `use /sticky ${action}`;
+    return `You can't ${what}: you need ${describeRule(rule)}.`;
+}
+
+/**
+ * Sets or clears (rule null) the rule override of an action in a guild.
+ * @param {string} guildId
+ * @param {string} action
+ * @param {{ Roles: string[], Permissions: string[] }|null} rule
+ */
+async function setRule(guildId, action, rule) {
+    const rules = { ...guildRules(guildId) };
+    if (rule === null) delete rules[action];
+    else rules[action] = normalizeRule(rule);
+    await StickySettings.set(guildId, 'Permissions', Object.keys(rules).length > 0 ? rules : null);
+}
+
+module.exports = {
+    ruleFor,
+    isPermission,
+    describeRule,
+    check,
+    setRule,
+};
@@ -0,0 +1,72 @@
+const yaml = require("js-yaml");
+const fs = require("fs");
+const config = yaml.load(fs.readFileSync("./addons/StickyMessages/config.yml", "utf8"));
+const StickyService = require("./StickyService");
+const StickyCache = require("./StickyCache");
+
+/**
+ * Per-channel serialization of everything that posts, edits or deletes
+ * stickies, so only one such operation is in flight per channel.
+ */
+
+const locks = new Map();
+const pendingReposts = new Map();
+
+/**
+ * Runs a task once every earlier task of the same channel has settled.
+ * @param {string} channelId
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} Resolves or rejects with the task's result
+ */
+function runExclusive(channelId, task) {
+    const previous = locks.get(channelId) || Promise.resolve();
+    const run = previous.then(task);
+    const tail = run.catch(() => {});
+    locks.set(channelId, tail);
+    tail.then(() => {
+        if (locks.get(channelId) === tail) locks.delete(channelId);
+    });
+    return run;
+}
+
+/**
+ * Delay before a requested repost runs.
+ * @returns {number} Delay in ms
+ */
+function repostDelay() {
+    const seconds = config.RepostDelaySeconds !== undefined ? config.RepostDelaySeconds : 1;
+    return Math.max(seconds, 0) * 1000;
+}
+
+/**
+ * Asks for the live stickies of a channel to be reposted. Requests made
+ * before the repost starts are merged into it, so a burst of messages gives
+ * a single repost; a request that was overtaken by a repost is dropped.
+ * @param {Discord.TextChannel} channel
+ * @param {Object} [options]
+ * @param {string} [options.lastPoster] - Display name for the {lastPoster} variable
+ */
+function requestRepost(channel, { lastPoster = null } = {}) {
+    const pending = pendingReposts.get(channel.id);
+    if (pending) {
+        if (lastPoster) pending.lastPoster = lastPoster;
+        return;
+    }
+
+    const request = { requestedAt: Date.now(), lastPoster };
+    pendingReposts.set(channel.id, request);
+    setTimeout(() => {
+        runExclusive(channel.id, async () => {
+            pendingReposts.delete(channel.id);
+            const stickies = (await StickyCache.getChannel(channel.id)).filter(StickyService.isLive);
+            if (stickies.length === 0) return;
+            if (stickies.some(sticky => sticky.lastPostedAt && new Date(sticky.lastPostedAt).getTime() > request.requestedAt)) return;
+            await StickyService.repostChannel(channel, stickies, { lastPoster: request.lastPoster });
+        }).catch(e => console.error(`[StickyMessages] Failed to repost the stickies of channel ${channel.id}:`, e));
+    }, repostDelay());
+}
+
+module.exports = {
+    runExclusive,
+    requestRepost,
+};
@@ -0,0 +1,313 @@
+const Discord = require("discord.js");
+const yaml = require("js-yaml");
+const fs = require("fs");
+const config = yaml.load(fs.readFileSync("./addons/StickyMessages/config.yml", "utf8"));
+const StickyStore = require("./StickyStore");
+const StickyService = require("./StickyService");
+const StickyCache = require("./StickyCache");
+const StickyQueue = require("./StickyQueue");
+const StickySlowmode = require("./StickySlowmode");
+const StickyAudit = require("./StickyAudit");
+const StickyAttachments = require("./StickyAttachments");
+const StickyThreads = require("./StickyThreads");
+const StickyWebhooks = require("./StickyWebhooks");
+
+/**
+ * Self-healing of stickies: checks that the channel of every sticky still
+ * exists, that the bot may post there and that the posted message is still
+ * up, then reposts what is missing and removes duplicate posts left behind
+ * by a crash. Stickies the bot can't post are marked broken with a reason,
+ * which takes them out of rotation until the problem is fixed.
+ */
+
+const { Flags } = Discord.PermissionsBitField;
+const PERMISSION_NAMES = {
+    ViewChannel: 'View Channel',
+    SendMessages: 'Send Messages',
+    SendMessagesInThreads: 'Send Messages in Threads',
+    ReadMessageHistory: 'Read Message History',
+    EmbedLinks: 'Embed Links',
+    AttachFiles: 'Attach Files',
+    ManageMessages: 'Manage Messages',
+};
+// Recent messages searched for duplicate sticky posts
+const DUPLICATE_SCAN_LIMIT = 50;
+
+/**
+ * The Reconciler section of config.yml, with defaults for missing keys.
+ * @returns {{ OnStartup: boolean, CheckIntervalMinutes: number }}
+ */
+function settings() {
+    return { OnStartup: true, CheckIntervalMinutes: 5, ...(config.Reconciler || {}) };
+}
+
+/**
+ * The permissions the bot lacks to keep the stickies of a channel up.
+ * @param {Discord.TextBasedChannel} channel
+ * @param {Object[]} stickies - Live or broken StickyMessage records of that channel
+ * @returns {string[]} Readable permission names, empty when nothing is missing
+ */
+function missingPermissions(channel, stickies) {
+    const permissions = channel.permissionsFor(channel.client.user);
+    if (!permissions) return [PERMISSION_NAMES.ViewChannel];
+
+    const needed = ['ViewChannel', channel.isThread() ? 'SendMessagesInThreads' : 'SendMessages', 'ReadMessageHistory'];
+    if (stickies.some(StickyService.isEmbed) || stickies.some(sticky => sticky.extraEmbeds.length > 0)) needed.push('EmbedLinks');
+    if (stickies.some(sticky => sticky.attachments.length > 0)) needed.push('AttachFiles');
+    // Webhook posts can only be removed with Manage Messages
+    if (stickies.some(sticky => sticky.useWebhook)) needed.push('ManageMessages');
+    return needed.filter(flag => !permissions.has(Flags[flag])).map(flag => PERMISSION_NAMES[flag]);
+}
+
+/**
+ * Looks a channel up, fetching it when it isn't cached.
+ * @param {Discord.Client} client
+ * @param {string} channelId
+ * @returns {Promise<{ channel: Object|null, gone: boolean, error: string|null }>}
+ */
+async function findChannel(client, channelId) {
+    const cached = client.channels.cache.get(channelId);
+    if (cached) return { channel: cached, gone: false, error: null };
+    try {
+        return { channel: await client.channels.fetch(channelId), gone: false, error: null };
+    } catch (e) {
+        if (e.code === Discord.RESTJSONErrorCodes.UnknownChannel) return { channel: null, gone: true, error: null };
+        if (e.code === Discord.RESTJSONErrorCodes.MissingAccess) return { channel: null, gone: false, error: "I can't see its channel anymore" };
+        throw e;
+    }
+}
+
+/**
+ * Deletes the records of a channel that no longer exists, and the thread
+ * copies of templates that lived there.
+ * @param {Discord.Client} client
+ * @param {string} channelId
+ * @returns {Promise<Object[]>} The records removed
+ */
+async function removeChannel(client, channelId) {
+    const removed = await StickyQueue.runExclusive(channelId, async () => {
+        const stickies = await StickyStore.find({ channelId });
+        for (const sticky of stickies) {
+            await StickyStore.delete(sticky._id);
+            await StickyAttachments.removeFiles(StickyAttachments.filesOf(sticky));
+            await StickyAudit.record(client, { action: 'cleanup', sticky, before: sticky.message, changes: ['deleted because its channel no longer exists'] });
+        }
+        if (stickies.length > 0) await StickyCache.refresh(channelId);
+        return stickies;
+    });
+    for (const guildId of new Set(removed.filter(sticky => sticky.threadTemplate).map(sticky => sticky.guildId))) {
+        await StickyThreads.syncCopies(client, guildId);
+    }
+    return removed;
+}
+
+/**
+ * Marks stickies broken, or healthy again when reason is null. Only records
+ * whose state changes are written and audited.
+ * @param {Discord.Client} client
+ * @param {Object[]} stickies
+ * @param {string|null} reason
+ * @returns {Promise<Object[]>} The records that changed
+ */
+async function setBroken(client, stickies, reason) {
+    const changed = stickies.filter(sticky => (sticky.brokenReason || null) !== reason);
+    for (const sticky of changed) {
+        sticky.brokenReason = reason;
+        sticky.brokenAt = reason ? new Date() : null;
+        await StickyStore.update(sticky._id, { brokenReason: reason, brokenAt: sticky.brokenAt });
+        await StickyAudit.record(client, { action: reason ? 'broken' : 'repaired', sticky, changes: [reason || 'it can be posted again'] });
+        if (reason) console.warn(`[StickyMessages] The sticky "${sticky.name}" of channel ${sticky.channelId} is broken: ${reason}`);
+    }
+    return changed;
+}
+
+/**
+ * What a post looks like, to compare posts: its text and its first embed.
+ * @param {string|null} content
+ * @param {Object|null} embed - Embed of a message, or the data of an EmbedBuilder
+ * @returns {string}
+ */
+function signatureOf(content, embed) {
+    return JSON.stringify([content || '', embed ? embed.title || null : null, embed ? embed.description || null : null]);
+}
+
+/**
+ * The posts the stickies of a channel leave: one per sticky and pool entry,
+ * and the combined message in combined mode. Stickies with template variables
+ * read differently on every post, they can't be recognized and are left out.
+ * @param {Discord.TextBasedChannel} channel
+ * @param {Object[]} stickies - Live StickyMessage records of the channel
+ * @returns {Set<string>} Signatures, see signatureOf()
+ */
+function expectedPosts(channel, stickies) {
+    const fixed = stickies.filter(sticky => ![sticky.message, ...sticky.pool, sticky.appearance && sticky.appearance.title]
+        .some(text => text && text.includes('{')));
+    const payloads = fixed.flatMap(sticky => (sticky.pool.length > 0 ? sticky.pool.map((entry, poolIndex) => ({ ...sticky, poolIndex })) : [sticky]))
+        .map(sticky => StickyService.buildPayload(sticky, { channel }));
+    if (fixed.length > 1 && StickyService.channelSettings(channel).MultiStickyMode === 'combined') {
+        payloads.push(StickyService.buildCombinedPayload(StickyService.sortStickies(fixed), { channel }));
+    }
+    return new Set(payloads.map(payload => signatureOf(payload.content, payload.embeds && payload.embeds[0] ? payload.embeds[0].data : null)));
+}
+
+/**
+ * Whether a message of the channel is a post of one of the stickies: sent by
+ * the bot or their webhook and looking exactly like one of their posts. Other
+ * addons post as the same bot, so merely containing a sticky's text is not enough.
+ * @param {Discord.Message} message
+ * @param {Object[]} stickies
+ * @param {Set<string>} expected - From expectedPosts()
+ * @returns {boolean}
+ */
+function isStickyPost(message, stickies, expected) {
+    const webhookIds = stickies.map(sticky => sticky.webhookId).filter(Boolean);
+    const byUs = message.webhookId ? webhookIds.includes(message.webhookId) : message.author.id === message.client.user.id;
+    return byUs && expected.has(signatureOf(message.content, message.embeds && message.embeds[0]));
+}
+
+/**
+ * Checks the stickies of one channel and repairs what it can.
+ * @param {Discord.Client} client
+ * @param {string} channelId
+ * @param {Object} [options]
+ * @param {boolean} [options.checkMessages] - Also check the posted messages and look for duplicates;
+ *   without it only the channel and the permissions are checked
+ * @returns {Promise<{ reposted: boolean, duplicates: number, broken: number, removed: number }>}
+ */
+async function reconcileChannel(client, channelId, { checkMessages = true } = {}) {
+    const result = { reposted: false, duplicates: 0, broken: 0, removed: 0 };
+    const { channel, gone, error } = await findChannel(client, channelId);
+    if (gone) {
+        result.removed = (await removeChannel(client, channelId)).length;
+        return result;
+    }
+    if (channel && channel.isThread() && channel.archived) {
+        result.removed = (await StickyThreads.removeCopies(channel)).length;
+        return result;
+    }
+
+    await StickyQueue.runExclusive(channelId, async () => {
+        const stickies = await StickyStore.find({ channelId });
+        // Templates are never posted, only their channel matters
+        const posted = stickies.filter(sticky => !sticky.threadTemplate);
+        const wasLive = posted.some(StickyService.isLive);
+        const missing = channel ? missingPermissions(channel, posted) : [];
+        const reason = error || (missing.length > 0 ? `missing permissions: ${missing.join(', ')}` : null);
+        const changed = await setBroken(client, posted, reason);
+        result.broken = reason ? posted.length : 0;
+        if (reason) {
+            if (changed.length > 0) await StickyCache.refresh(channelId);
+            return;
+        }
+        // Channels holding only templates have nothing posted, and forums have no messages at all
+        if (posted.length === 0 || !channel.isTextBased()) return;
+
+        const live = posted.filter(StickyService.isLive);
+        let needsRepost = changed.some(StickyService.isLive);
+        const found = new Set();
+        if (checkMessages && live.length > 0) {
+            for (const messageId of new Set(live.map(sticky => sticky.messageId).filter(Boolean))) {
+                const message = await channel.messages.fetch(messageId).catch(e => {
+                    if (e.code !== Discord.RESTJSONErrorCodes.UnknownMessage) throw e;
+                    return null;
+                });
+                if (message) found.add(messageId);
+            }
+            needsRepost = needsRepost || live.some(sticky => !found.has(sticky.messageId));
+
+            const expected = expectedPosts(channel, live);
+            const recent = expected.size > 0 ? await channel.messages.fetch({ limit: DUPLICATE_SCAN_LIMIT }) : new Map();
+            for (const message of recent.values()) {
+                if (found.has(message.id) || !isStickyPost(message, live, expected)) continue;
+                await message.delete().catch(() => {});
+                result.duplicates += 1;
+            }
+        }
+
+        if (needsRepost && live.length > 0) {
+            await StickyService.repostChannel(channel, stickies, { previous: stickies.filter(sticky => sticky.messageId) });
+            result.reposted = true;
+        }
+        if (wasLive !== posted.some(StickyService.isLive)) await StickySlowmode.sync(channel, stickies);
+        if (changed.length > 0 || result.reposted) await StickyCache.refresh(channelId);
+    });
+    if (result.reposted || result.duplicates > 0) {
+        console.log(`[StickyMessages] Repaired channel ${channelId}: ${result.reposted ? 'reposted missing stickies' : 'nothing to repost'}, ${result.duplicates} duplicate posts removed`);
+    }
+    return result;
+}
+
+/**
+ * Checks every channel with stickies.
+ * @param {Discord.Client} client
+ * @param {Object} [options]
+ * @param {boolean} [options.checkMessages] - See reconcileChannel
+ */
+async function reconcileAll(client, { checkMessages = true } = {}) {
+    const channelIds = new Set((await StickyStore.find()).map(sticky => sticky.channelId));
+    for (const channelId of channelIds) {
+        await reconcileChannel(client, channelId, { checkMessages })
+            .catch(e => console.error(`[StickyMessages] Failed to check the stickies of channel ${channelId}:`, e));
+    }
+}
+
+/**
+ * Handles a deleted message: when it was a posted sticky, the channel is
+ * checked and the sticky reposted. The bot deletes stickies itself when it
+ * reposts them, so the records are checked once the channel's queue is idle,
+ * by which time such a repost has replaced their messageId.
+ * @param {Discord.Client} client
+ * @param {Discord.Message|Discord.PartialMessage} message
+ */
+async function handleMessageDelete(client, message) {
+    const isPosted = sticky => sticky.messageId === message.id && StickyService.isLive(sticky);
+    if (!(await StickyCache.getChannel(message.channelId)).some(isPosted)) return;
+    const lost = await StickyQueue.runExclusive(message.channelId, async () => (await StickyStore.find({ channelId: message.channelId })).some(isPosted));
+    if (lost) await reconcileChannel(client, message.channelId);
+}
+
+/**
+ * Handles a change to the webhooks of a channel: when the webhook of its
+ * stickies was deleted they move to a new one, or fall back to the bot when
+ * none can be created, and are reposted so they stay visible.
+ * @param {Discord.Client} client
+ * @param {Discord.TextChannel} channel - The channel whose webhooks changed
+ */
+async function handleWebhooksUpdate(client, channel) {
+    const records = (await StickyStore.find({ guildId: channel.guild.id }))
+        .filter(sticky => sticky.useWebhook && sticky.webhookId && !sticky.templateId);
+    const affected = records.filter(sticky => {
+        const home = client.channels.cache.get(sticky.channelId);
+        return sticky.channelId === channel.id || (home && home.isThread() && home.parentId === channel.id);
+    });
+    if (affected.length === 0) return;
+
+    const hooks = await channel.fetchWebhooks().catch(() => null);
+    if (!hooks) return;
+    const deleted = affected.filter(sticky => !hooks.has(sticky.webhookId));
+    if (deleted.length === 0) return;
+
+    const { webhook, error } = await StickyWebhooks.acquire(channel);
+    for (const sticky of deleted) {
+        await StickyQueue.runExclusive(sticky.channelId, async () => {
+            await StickyStore.update(sticky._id, webhook || { webhookId: null, webhookToken: null });
+            await StickyCache.refresh(sticky.channelId);
+        });
+        await StickyAudit.record(client, {
+            action: 'webhook',
+            sticky,
+            changes: [webhook ? 'webhook deleted, a new one was created' : `webhook deleted, posting as the bot: ${error}`],
+        });
+    }
+    for (const channelId of new Set(deleted.map(sticky => sticky.channelId))) await reconcileChannel(client, channelId);
+    if (deleted.some(sticky => sticky.threadTemplate)) await StickyThreads.syncCopies(client, channel.guild.id);
+}
+
+module.exports = {
+    settings,
+    reconcileChannel,
+    reconcileAll,
+    removeChannel,
+    handleMessageDelete,
+    handleWebhooksUpdate,
+};
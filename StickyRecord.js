@@ -0,0 +1,146 @@
+/**
+ * Plain-object helpers for sticky records, shared by every storage backend.
+ * Records are plain objects with a string `_id`; the fields and defaults
+ * mirror the Mongoose schema in StickyModel.js, keep both in sync.
+ */
+
+/**
+ * A record with every field at its default value.
+ * @returns {Object}
+ */
+function createDefaults() {
+    return {
+        guildId: null,
+        name: 'default',
+        priority: 0,
+        message: '',
+        msgCount: 0,
+        messageId: null,
+        useWebhook: false,
+        useEmbed: true,
+        webhookId: null,
+        webhookToken: null,
+        webhookName: null,
+        webhookAvatarURL: null,
+        appearance: {
+            title: null,
+            color: null,
+            image: null,
+            thumbnail: null,
+            footerText: null,
+            footerIconURL: null,
+            timestamp: null,
+            authorName: null,
+            authorIconURL: null,
+            fields: [],
+        },
+        repostMode: null,
+        maxMessages: null,
+        repostMinutes: null,
+        idleSeconds: null,
+        countFilters: {
+            ignoreBots: false,
+            ignoreRoles: [],
+            ignoreUsers: [],
+            minLength: 0,
+            ignoreAttachmentOnly: false,
+            ignoreEmojiOnly: false,
+            requireLinks: false,
+            keywords: [],
+        },
+        lastPostedAt: null,
+        repostCount: 0,
+        lastPoster: null,
+        startsAt: null,
+        expiresAt: null,
+        activeWindows: [],
+        scheduleActive: true,
+        pool: [],
+        poolMode: 'sequential',
+        poolIndex: 0,
+        createdBy: null,
+        createdAt: null,
+        paused: false,
+        pausedUntil: null,
+        pausedBy: null,
+        slowmode: null,
+        adaptiveSlowmode: null,
+        previousSlowmode: null,
+        buttons: [],
+        extraEmbeds: [],
+        attachments: [],
+        threadTemplate: false,
+        templateId: null,
+        brokenReason: null,
+        brokenAt: null,
+    };
+}
+
+const DATE_FIELDS = ['lastPostedAt', 'startsAt', 'expiresAt', 'createdAt', 'pausedUntil', 'brokenAt'];
+
+/**
+ * Fills in missing fields with their defaults, turns the ID into a string
+ * and date strings (from JSON storage) back into Dates.
+ * @param {Object} raw - Record as returned by a backend
+ * @returns {Object}
+ */
+function normalize(raw) {
+    const defaults = createDefaults();
+    const record = { ...defaults, ...raw, _id: String(raw._id) };
+    record.appearance = { ...defaults.appearance, ...(raw.appearance || {}) };
+    record.countFilters = { ...defaults.countFilters, ...(raw.countFilters || {}) };
+    for (const field of DATE_FIELDS) {
+        if (record[field] && !(record[field] instanceof Date)) record[field] = new Date(record[field]);
+    }
+    return record;
+}
+
+/**
+ * Whether a sticky should currently be shown in its channel: its schedule is
+ * open, it isn't paused and it isn't broken. Thread templates are never shown
+ * in their own channel, only copied into its new threads.
+ * @param {Object} record
+ * @returns {boolean}
+ */
+function isLive(record) {
+    return !record.threadTemplate && record.scheduleActive !== false && !record.paused && !record.brokenReason;
+}
+
+/**
+ * Whether a record matches an equality filter such as { channelId: '123' }.
+ * An empty filter matches everything.
+ * @param {Object} record
+ * @param {Object} filter
+ * @returns {boolean}
+ */
+function matchesFilter(record, filter = {}) {
+    return Object.entries(filter).every(([key, value]) => String(record[key]) === String(value));
+}
+
+/**
+ * Applies a change set to a record in place. Keys may be dotted paths into
+ * nested objects, e.g. { 'appearance.title': 'Rules' }.
+ * @param {Object} record
+ * @param {Object} changes
+ * @returns {Object} The same record
+ */
+function applyChanges(record, changes) {
+    for (const [path, value] of Object.entries(changes)) {
+        const keys = path.split('.');
+        let target = record;
+        for (const key of keys.slice(0, -1)) {
+            if (typeof target[key] !== 'object' || target[key] === null) target[key] = {};
+            target = target[key];
+        }
+        target[keys[keys.length - 1]] = value;
+    }
+    return record;
+}
+
+module.exports = {
+    createDefaults,
+    normalize,
+    isLive,
+    matchesFilter,
+    applyChanges,
+};
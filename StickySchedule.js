@@ -0,0 +1,147 @@
+const yaml = require("js-yaml");
+const fs = require("fs");
+const config = yaml.load(fs.readFileSync("./addons/StickyMessages/config.yml", "utf8"));
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Time zone recurring windows are evaluated in.
+ * @returns {string} IANA time zone name
+ */
+function scheduleTimezone() {
+    return (config.Schedules && config.Schedules.Timezone) || 'UTC';
+}
+
+/**
+ * Parses a day list such as "*", "mon", "mon-fri" or "sat,sun".
+ * @param {string} spec - Day list
+ * @returns {Set<number>} Day indexes, 0 = Sunday
+ */
+function parseDays(spec) {
+    const days = new Set();
+    for (const part of spec.toLowerCase().split(',')) {
+        if (part === '*') {
+            DAYS.forEach((_, i) => days.add(i));
+            continue;
+        }
+        const [from, to] = part.split('-').map(day => DAYS.indexOf(day.slice(0, 3)));
+        if (from < 0 || (to !== undefined && to < 0)) throw new Error(`Unknown day "${part}", use mon, tue, wed, thu, fri, sat, sun or *`);
+        if (to === undefined) {
+            days.add(from);
+            continue;
+        }
+        for (let day = from; ; day = (day + 1) % 7) {
+            days.add(day);
+            if (day === to) break;
+        }
+    }
+    return days;
+}
+
+/**
+ * Parses "HH:MM" into minutes since midnight.
+ * @param {string} time - Time of day
+ * @returns {number}
+ */
+function parseTime(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time);
+    const [hours, minutes] = match ? [Number(match[1]), Number(match[2])] : [];
+    // 24:00 is the only time past 23:59, it ends a window at midnight
+    if (!match || minutes > 59 || hours > 24 || (hours === 24 && minutes > 0)) throw new Error(`Invalid time "${time}", use HH:MM from 00:00 to 24:00`);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Parses one recurring window, e.g. "mon-fri 09:00-17:00" or "fri 22:00-02:00".
+ * A window whose end is before its start runs past midnight into the next day.
+ * @param {string} text - Window expression
+ * @returns {{ days: Set<number>, start: number, end: number }}
+ */
+function parseWindow(text) {
+    const match = /^(\S+)\s+(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/.exec(text.trim());
+    if (!match) throw new Error(`Invalid window "${text}", use "<days> HH:MM-HH:MM" like "mon-fri 09:00-17:00"`);
+    return { days: parseDays(match[1]), start: parseTime(match[2]), end: parseTime(match[3]) };
+}
+
+/**
+ * Splits and validates a ";"-separated list of windows as typed in a command.
+ * @param {string} text - Window expressions
+ * @returns {string[]} Normalized window expressions
+ */
+function parseWindows(text) {
+    return text.split(';').map(part => part.trim().replace(/\s+/g, ' ')).filter(Boolean).map(part => {
+        parseWindow(part);
+        return part;
+    });
+}
+
+/**
+ * Day of week and minute of day of a date in the schedule time zone.
+ * @param {Date} date
+ * @returns {{ day: number, minutes: number }}
+ */
+function zonedParts(date) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: scheduleTimezone(),
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(date);
+    const get = type => parts.find(part => part.type === type).value;
+    return { day: DAYS.indexOf(get('weekday').toLowerCase()), minutes: Number(get('hour')) * 60 + Number(get('minute')) };
+}
+
+/**
+ * Whether a date falls inside a recurring window.
+ * @param {string} text - Window expression
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function isInWindow(text, date) {
+    const { days, start, end } = parseWindow(text);
+    const { day, minutes } = zonedParts(date);
+    if (start === end) return days.has(day);
+    if (start < end) return days.has(day) && minutes >= start && minutes < end;
+    return (days.has(day) && minutes >= start) || (days.has((day + 6) % 7) && minutes < end);
+}
+
+/**
+ * Whether a sticky has any schedule at all.
+ * @param {Object} sticky - StickyMessage record
+ * @returns {boolean}
+ */
+function hasSchedule(sticky) {
+    return !!(sticky.startsAt || sticky.expiresAt || (sticky.activeWindows && sticky.activeWindows.length > 0));
+}
+
+/**
+ * Whether a sticky's schedule allows it to be shown at the given time.
+ * Stickies without a schedule are always active.
+ * @param {Object} sticky - StickyMessage record
+ * @param {Date} [date] - Defaults to now
+ * @returns {boolean}
+ */
+function isScheduledActive(sticky, date = new Date()) {
+    if (sticky.startsAt && date < new Date(sticky.startsAt)) return false;
+    if (sticky.expiresAt && date >= new Date(sticky.expiresAt)) return false;
+    if (sticky.activeWindows && sticky.activeWindows.length > 0) {
+        return sticky.activeWindows.some(window => {
+            try {
+                return isInWindow(window, date);
+            } catch {
+                return false;
+            }
+        });
+    }
+    return true;
+}
+
+module.exports = {
+    scheduleTimezone,
+    parseWindow,
+    parseWindows,
+    isInWindow,
+    hasSchedule,
+    isScheduledActive,
+};
@@ -0,0 +1,622 @@
+const Discord = require("discord.js");
+const StickyStore = require("./StickyStore");
+const StickySchedule = require("./StickySchedule");
+const StickyTemplate = require("./StickyTemplate");
+const StickyCache = require("./StickyCache");
+const StickySettings = require("./StickySettings");
+const StickyRecord = require("./StickyRecord");
+const StickySlowmode = require("./StickySlowmode");
+const StickyButtons = require("./StickyButtons");
+const StickyAttachments = require("./StickyAttachments");
+const StickyWebhooks = require("./StickyWebhooks");
+
+/**
+ * The config that applies to a sticky: config.yml with its guild's overrides.
+ * @param {Object} sticky - StickyMessage record
+ * @returns {Object}
+ */
+function settingsOf(sticky) {
+    return StickySettings.forGuild(sticky.guildId);
+}
+
+/**
+ * The config that applies to a channel, see settingsOf().
+ * @param {Discord.TextChannel} channel
+ * @returns {Object}
+ */
+function channelSettings(channel) {
+    return StickySettings.forGuild(channel.guild ? channel.guild.id : null);
+}
+
+/**
+ * Whether a sticky is rendered as an embed, falling back to the config default.
+ * @param {Object} sticky - StickyMessage record
+ * @returns {boolean}
+ */
+function isEmbed(sticky) {
+    if (sticky.useEmbed !== undefined) return sticky.useEmbed;
+    const settings = settingsOf(sticky);
+    return settings.EnableEmbeds !== undefined ? settings.EnableEmbeds : true;
+}
+
+const { isLive } = StickyRecord;
+
+// Discord's limits for the text of a message, an embed description, the embeds of a message and their text together
+const TEXT_LIMIT = 2000;
+const EMBED_LIMIT = 4096;
+const MAX_EMBEDS = 10;
+const EMBEDS_TEXT_LIMIT = 6000;
+
+/**
+ * How long the message of a sticky may be in the way it is rendered.
+ * @param {Object} sticky - StickyMessage record
+ * @returns {number}
+ */
+function contentLimit(sticky) {
+    return isEmbed(sticky) ? EMBED_LIMIT : TEXT_LIMIT;
+}
+
+/**
+ * Why Discord would reject the post of stickies, with every template variable
+ * at its longest (see StickyTemplate.maxLength) and every pool entry tried:
+ * text over 2000 characters, an embed description over 4096, more than 10
+ * embeds or more than 6000 characters of embed text in one message. Several
+ * stickies are measured as the one message of combined mode.
+ * @param {Object[]} stickies - Sorted StickyMessage records posted in one message
+ * @returns {string|null} The problem, or null when they fit
+ */
+function sizeProblem(stickies) {
+    const longest = sticky => Math.max(...(sticky.pool && sticky.pool.length > 0 ? sticky.pool : [sticky.message]).map(StickyTemplate.maxLength));
+
+    const texts = stickies.filter(sticky => !isEmbed(sticky));
+    if (texts.length > 0) {
+        const title = StickyTemplate.maxLength(pick(texts[0].appearance && texts[0].appearance.title, settingsOf(texts[0]).StickiedMessageTitle));
+        const length = (title ? title + 2 : 0) + texts.reduce((total, sticky) => total + longest(sticky), 0) + (texts.length - 1) * 2;
+        if (length > TEXT_LIMIT) return `its text can get ${length} characters long with the title, Discord allows ${TEXT_LIMIT}`;
+    }
+
+    const embeds = stickies.flatMap(sticky => {
+        const extras = (sticky.extraEmbeds || []).map(extra => ({ description: StickyTemplate.maxLength(extra.description), text: [extra.title, extra.footerText] }));
+        if (!isEmbed(sticky)) return extras;
+        const embedConfig = settingsOf(sticky).EmbedSettings.Embed;
+        const appearance = sticky.appearance || {};
+        const fields = (appearance.fields || []).flatMap(field => [field.name, field.value]);
+        const text = [pick(appearance.title, embedConfig.Title), pick(appearance.footerText, embedConfig.Footer.Enabled ? embedConfig.Footer.text : null), appearance.authorName, ...fields];
+        return [{ description: longest(sticky), text }, ...extras];
+    });
+    if (embeds.length > MAX_EMBEDS) return `it has ${embeds.length} embeds, Discord allows ${MAX_EMBEDS} in a message`;
+    if (embeds.some(embed => embed.description > EMBED_LIMIT)) return `an embed text can get longer than the ${EMBED_LIMIT} characters Discord allows`;
+    const total = embeds.reduce((sum, embed) => sum + embed.description + embed.text.reduce((length, text) => length + StickyTemplate.maxLength(text), 0), 0);
+    if (total > EMBEDS_TEXT_LIMIT) return `its embeds can hold ${total} characters together, Discord allows ${EMBEDS_TEXT_LIMIT}`;
+    return null;
+}
+
+/**
+ * Sorts stickies in the order they are shown in the channel, top to bottom.
+ * Higher priority comes first; ties keep their creation order.
+ * @param {Object[]} stickies - StickyMessage records of one channel
+ * @returns {Object[]} A new, sorted array
+ */
+function sortStickies(stickies) {
+    return [...stickies].sort((a, b) => (b.priority || 0) - (a.priority || 0) || String(a._id).localeCompare(String(b._id)));
+}
+
+/**
+ * Returns the override when it is set, otherwise the config default.
+ */
+function pick(override, fallback) {
+    return override !== undefined && override !== null ? override : fallback;
+}
+
+/**
+ * Builds the embed for a sticky, merging its appearance overrides on top of
+ * the config.yml EmbedSettings. Template variables in the description, title
+ * and footer are resolved.
+ * @param {Object} sticky - StickyMessage record
+ * @param {Object} [context] - Template context, see StickyTemplate.render
+ * @returns {Discord.EmbedBuilder}
+ */
+function buildEmbed(sticky, context = {}) {
+    const embedConfig = settingsOf(sticky).EmbedSettings.Embed;
+    const appearance = sticky.appearance || {};
+    const embed = new Discord.EmbedBuilder();
+    const render = text => StickyTemplate.render(text, { ...context, sticky });
+
+    const title = render(pick(appearance.title, embedConfig.Title));
+    const color = pick(appearance.color, embedConfig.Color);
+    const image = pick(appearance.image, embedConfig.Image);
+    const thumbnail = pick(appearance.thumbnail, embedConfig.CustomThumbnailURL);
+    const footerText = render(pick(appearance.footerText, embedConfig.Footer.Enabled ? embedConfig.Footer.text : null));
+    const footerIconURL = pick(appearance.footerIconURL, embedConfig.Footer.CustomIconURL);
+    const timestamp = pick(appearance.timestamp, embedConfig.Timestamp);
+
+    if (title) embed.setTitle(title);
+    embed.setDescription(render(currentContent(sticky)).slice(0, EMBED_LIMIT));
+    if (color) embed.setColor(color);
+    if (image) embed.setImage(image);
+    if (thumbnail) embed.setThumbnail(thumbnail);
+    if (footerText) embed.setFooter({ text: footerText, iconURL: footerIconURL || undefined });
+    if (appearance.authorName) embed.setAuthor({ name: appearance.authorName, iconURL: appearance.authorIconURL || undefined });
+    if (appearance.fields && appearance.fields.length > 0) {
+        embed.addFields(appearance.fields.slice(0, 25).map(({ name, value, inline }) => ({ name, value, inline: !!inline })));
+    }
+    if (timestamp) embed.setTimestamp();
+    return embed;
+}
+
+/**
+ * Builds the embeds a sticky posts after its own one. Template variables in
+ * their title, description and footer are resolved.
+ * @param {Object} sticky - StickyMessage record
+ * @param {Object} [context] - Template context, see StickyTemplate.render
+ * @returns {Discord.EmbedBuilder[]}
+ */
+function buildExtraEmbeds(sticky, context = {}) {
+    const render = text => StickyTemplate.render(text, { ...context, sticky });
+    return (sticky.extraEmbeds || []).map(extra => {
+        const embed = new Discord.EmbedBuilder();
+        if (extra.title) embed.setTitle(render(extra.title));
+        if (extra.description) embed.setDescription(render(extra.description));
+        if (extra.color) embed.setColor(extra.color);
+        if (extra.image) embed.setImage(extra.image);
+        if (extra.thumbnail) embed.setThumbnail(extra.thumbnail);
+        if (extra.footerText) embed.setFooter({ text: render(extra.footerText) });
+        return embed;
+    });
+}
+
+/**
+ * Resolves the repost trigger of a sticky, falling back to the config defaults.
+ * @param {Object} sticky - StickyMessage record
+ * @returns {{ mode: string, maxMessages: number, repostMinutes: number, idleSeconds: number }}
+ */
+function triggerSettings(sticky) {
+    const settings = settingsOf(sticky);
+    return {
+        mode: pick(sticky.repostMode, settings.RepostMode || 'messages'),
+        maxMessages: pick(sticky.maxMessages, settings.MaxMessages),
+        repostMinutes: pick(sticky.repostMinutes, settings.RepostMinutes || 10),
+        idleSeconds: pick(sticky.idleSeconds, settings.IdleSeconds || 30),
+    };
+}
+
+/**
+ * Whether a sticky should be reposted now.
+ * @param {Object} sticky - StickyMessage record
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current time in ms
+ * @param {number} [options.silentFor] - How long the channel has been silent in ms; 0 while a message is handled
+ * @returns {boolean}
+ */
+function isRepostDue(sticky, { now = Date.now(), silentFor = 0 } = {}) {
+    const trigger = triggerSettings(sticky);
+    const byMessages = sticky.msgCount >= trigger.maxMessages;
+    // Records posted before lastPostedAt existed are treated as overdue
+    const byTime = !sticky.lastPostedAt || now - new Date(sticky.lastPostedAt).getTime() >= trigger.repostMinutes * 60 * 1000;
+
+    switch (trigger.mode) {
+        case 'time': return byTime;
+        case 'either': return byMessages || byTime;
+        case 'idle': return sticky.msgCount > 0 && silentFor >= trigger.idleSeconds * 1000;
+        default: return byMessages;
+    }
+}
+
+/**
+ * The content a sticky currently shows: the current pool entry when it
+ * rotates through a pool, otherwise its message.
+ * @param {Object} sticky - StickyMessage record
+ * @returns {string}
+ */
+function currentContent(sticky) {
+    if (sticky.pool && sticky.pool.length > 0) return sticky.pool[(sticky.poolIndex || 0) % sticky.pool.length];
+    return sticky.message;
+}
+
+/**
+ * Picks the pool entry shown on the next repost. Random mode never picks the
+ * entry that is shown right now.
+ * @param {Object} sticky - StickyMessage record
+ * @returns {number} Index into sticky.pool
+ */
+function nextPoolIndex(sticky) {
+    const size = sticky.pool.length;
+    const current = (sticky.poolIndex || 0) % size;
+    if (size <= 1) return 0;
+    if (sticky.poolMode === 'random') return (current + 1 + Math.floor(Math.random() * (size - 1))) % size;
+    return (current + 1) % size;
+}
+
+/**
+ * Builds the text used for a plain text sticky, with its template variables resolved.
+ * @param {Object} sticky - StickyMessage record
+ * @param {Object} [context] - Template context, see StickyTemplate.render
+ * @returns {string}
+ */
+function buildText(sticky, context = {}) {
+    return StickyTemplate.render(currentContent(sticky), { ...context, sticky });
+}
+
+/**
+ * The title above a plain text sticky: its own title override, otherwise the
+ * config StickiedMessageTitle, with template variables resolved.
+ * @param {Object} sticky - StickyMessage record
+ * @param {Object} [context] - Template context, see StickyTemplate.render
+ * @returns {string}
+ */
+function buildTextTitle(sticky, context = {}) {
+    return StickyTemplate.render(pick(sticky.appearance && sticky.appearance.title, settingsOf(sticky).StickiedMessageTitle), { ...context, sticky });
+}
+
+/**
+ * Builds the message payload for a single sticky.
+ * @param {Object} sticky - StickyMessage record
+ * @param {Object} [context] - Template context, see StickyTemplate.render
+ * @returns {Object} Payload accepted by channel.send and WebhookClient.send
+ */
+function buildPayload(sticky, context = {}) {
+    const components = StickyButtons.buildRows(sticky.buttons);
+    const extraEmbeds = buildExtraEmbeds(sticky, context);
+    if (isEmbed(sticky)) return { embeds: [buildEmbed(sticky, context), ...extraEmbeds].slice(0, MAX_EMBEDS), components };
+    const title = buildTextTitle(sticky, context);
+    // Checked when the sticky is saved, but template variables may still render longer than expected
+    const content = title ? `${title}\n\n${buildText(sticky, context)}` : buildText(sticky, context);
+    return { content: content.slice(0, TEXT_LIMIT), embeds: extraEmbeds.slice(0, MAX_EMBEDS), components };
+}
+
+/**
+ * Merges several stickies into one message. Text stickies are joined above
+ * the embeds, which keep the sticky order. Stickies are checked with
+ * sizeProblem() when saved, so together they stay within Discord's limits.
+ * Every embed keeps the appearance of its sticky; the joined text takes the
+ * title of the highest-priority text sticky.
+ * @param {Object[]} stickies - Sorted StickyMessage records
+ * @param {Object} [context] - Template context, see StickyTemplate.render
+ * @returns {Object} Payload accepted by channel.send and WebhookClient.send
+ */
+function buildCombinedPayload(stickies, context = {}) {
+    const textStickies = stickies.filter(sticky => !isEmbed(sticky));
+    const texts = textStickies.map(sticky => buildText(sticky, context));
+    const embeds = stickies.flatMap(sticky => [...(isEmbed(sticky) ? [buildEmbed(sticky, context)] : []), ...buildExtraEmbeds(sticky, context)]).slice(0, MAX_EMBEDS);
+    // Buttons of every sticky, each custom ID once, as far as Discord's 5 rows go
+    const seen = new Set();
+    const buttons = stickies.flatMap(sticky => (sticky.buttons || []).filter(button => {
+        const key = StickyButtons.customIdOf(button) || button.url;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    }).map(button => ({ ...button, sticky: String(sticky._id) })));
+    const rows = stickies.flatMap(sticky => StickyButtons.buildRows(buttons.filter(button => button.sticky === String(sticky._id))));
+    const payload = { embeds, components: rows.slice(0, 5) };
+    if (texts.length > 0) {
+        const title = buildTextTitle(textStickies[0], context);
+        payload.content = (title ? `${title}\n\n${texts.join('\n\n')}` : texts.join('\n\n')).slice(0, TEXT_LIMIT);
+    }
+    return payload;
+}
+
+/**
+ * The thread a webhook message has to go to: webhooks belong to the parent
+ * channel and post into one of its threads by ID.
+ * @param {Discord.TextBasedChannel} channel
+ * @returns {string|undefined}
+ */
+function threadIdOf(channel) {
+    return channel.isThread() ? channel.id : undefined;
+}
+
+/**
+ * The channel whose webhook a channel posts through, see threadIdOf().
+ * @param {Discord.TextBasedChannel} channel
+ * @returns {string}
+ */
+function webhookHomeId(channel) {
+    return channel.isThread() ? channel.parentId : channel.id;
+}
+
+/**
+ * Sends a payload through the sticky's webhook when it has one, otherwise
+ * (or when the webhook fails) through the bot. The webhook is shared by the
+ * channel, so the sticky's own name and avatar are set on the message.
+ * @param {Discord.TextChannel} channel - Channel to post in
+ * @param {Object} sticky - StickyMessage record that owns the webhook settings
+ * @param {Object} payload - Message payload
+ * @param {Object} [overrides] - Webhook options for this message only
+ * @param {string} [overrides.username] - Name to post under instead of the sticky's
+ * @param {string} [overrides.threadName] - Opens a new post with this name when channel is a forum
+ * @returns {Promise<Discord.Message>}
+ */
+async function sendPayload(channel, sticky, payload, overrides = {}) {
+    if (sticky.useWebhook && sticky.webhookId && sticky.webhookToken) {
+        try {
+            const hookClient = new Discord.WebhookClient({ id: sticky.webhookId, token: sticky.webhookToken });
+            const avatarURL = await StickyAttachments.freshUrl(channel.client, sticky.webhookAvatarURL);
+            // Webhooks the bot created may carry buttons; older ones keep at least the link buttons
+            const res = await hookClient.send({
+                ...payload,
+                username: overrides.username || sticky.webhookName || undefined,
+                avatarURL: avatarURL || undefined,
+                threadId: threadIdOf(channel),
+                threadName: channel.isThread() ? undefined : overrides.threadName,
+                withComponents: true,
+            });
+            StickyWebhooks.reportSuccess(webhookHomeId(channel));
+            return Array.isArray(res) ? res[0] : res;
+        } catch (e) {
+            StickyWebhooks.reportFailure(webhookHomeId(channel), `sending "${sticky.name}" failed: ${e.message}`);
+        }
+    }
+    return channel.send(payload);
+}
+
+/**
+ * Edits an already posted sticky message in place. Webhook messages can only
+ * be edited by their webhook, so that is tried first, then the bot.
+ * @param {Discord.TextChannel} channel - Channel the message lives in
+ * @param {Object} sticky - StickyMessage record that owns the webhook settings
+ * @param {string} messageId - ID of the posted message
+ * @param {Object} payload - New message payload
+ * @returns {Promise<Discord.Message>}
+ */
+async function editPayload(channel, sticky, messageId, payload) {
+    // Clear whatever the other render mode left behind (embed <-> text)
+    const edit = { content: null, embeds: [], components: [], ...payload };
+    if (sticky.useWebhook && sticky.webhookId && sticky.webhookToken) {
+        try {
+            const hookClient = new Discord.WebhookClient({ id: sticky.webhookId, token: sticky.webhookToken });
+            const edited = await hookClient.editMessage(messageId, { ...edit, threadId: threadIdOf(channel), withComponents: true });
+            StickyWebhooks.reportSuccess(webhookHomeId(channel));
+            return edited;
+        } catch (e) {
+            // Posts of a webhook that was replaced are unknown to the new one; the edit fails and the sticky is reposted
+            if (e.code !== Discord.RESTJSONErrorCodes.UnknownMessage) {
+                StickyWebhooks.reportFailure(webhookHomeId(channel), `editing "${sticky.name}" failed: ${e.message}`);
+            }
+        }
+    }
+    const posted = await channel.messages.fetch(messageId);
+    return posted.edit(edit);
+}
+
+/**
+ * Re-renders the posted message of a sticky without reposting it, keeping its
+ * position and counters. In combined mode the shared message is re-rendered.
+ * @param {Discord.TextChannel} channel - Channel the sticky lives in
+ * @param {Object[]} stickies - Every StickyMessage record of that channel, already updated
+ * @param {Object} sticky - The record that changed
+ * @returns {Promise<boolean>} false when there was nothing to edit or the edit failed
+ */
+async function updatePosted(channel, stickies, sticky) {
+    if (!sticky.messageId || !isLive(sticky)) return false;
+    const ordered = sortStickies(stickies.filter(isLive));
+    const combined = channelSettings(channel).MultiStickyMode === 'combined' && ordered.length > 1;
+    try {
+        if (combined) {
+            await editPayload(channel, ordered[0], sticky.messageId, buildCombinedPayload(ordered, { channel }));
+        } else {
+            await editPayload(channel, sticky, sticky.messageId, buildPayload(sticky, { channel }));
+        }
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Deletes the currently posted messages of the given stickies. Records from
+ * before messageId was stored are matched by their content instead.
+ * @param {Discord.TextChannel} channel - Channel the stickies live in
+ * @param {Object[]} stickies - StickyMessage records
+ */
+async function deletePosted(channel, stickies) {
+    const messageIds = new Set(stickies.map(sticky => sticky.messageId).filter(Boolean));
+    for (const messageId of messageIds) {
+        const oldMsg = await channel.messages.fetch(messageId).catch(() => null);
+        if (oldMsg) await oldMsg.delete().catch(() => {});
+    }
+
+    // Thread templates are never posted, nothing of theirs can be in the channel
+    const legacy = stickies.filter(sticky => !sticky.messageId && !sticky.threadTemplate);
+    if (legacy.length === 0) return;
+    const messages = await channel.messages.fetch().catch(() => null);
+    if (!messages) return;
+    for (const msg of messages.values()) {
+        const matches = legacy.some(sticky => isEmbed(sticky)
+            ? msg.embeds && msg.embeds.some(embed => embed.description && embed.description.includes(currentContent(sticky)))
+            : msg.content && msg.content.includes(currentContent(sticky)));
+        if (matches) await msg.delete().catch(() => {});
+    }
+}
+
+/**
+ * Posts the given stickies in order, either one message each ("stack") or
+ * merged into a single message ("combined"), depending on MultiStickyMode.
+ * @param {Discord.TextChannel} channel - Channel to post in
+ * @param {Object[]} stickies - StickyMessage records of that channel
+ * @param {Object} [context] - Extra template context, see StickyTemplate.render
+ * @returns {Promise<Map<string, string>>} Posted message ID keyed by sticky _id
+ */
+async function postStickies(channel, stickies, context = {}) {
+    const ordered = sortStickies(stickies);
+    const posted = new Map();
+    if (ordered.length === 0) return posted;
+    const renderContext = { ...context, channel };
+
+    if (channelSettings(channel).MultiStickyMode === 'combined' && ordered.length > 1) {
+        const { files, sent } = await StickyAttachments.filesFor(channel, ordered);
+        const sentMessage = await sendPayload(channel, ordered[0], { ...buildCombinedPayload(ordered, renderContext), files });
+        StickyAttachments.rememberPosted(sent, sentMessage);
+        for (const sticky of ordered) posted.set(String(sticky._id), sentMessage.id);
+        return posted;
+    }
+
+    for (const sticky of ordered) {
+        const { files, sent } = await StickyAttachments.filesFor(channel, [sticky]);
+        const sentMessage = await sendPayload(channel, sticky, { ...buildPayload(sticky, renderContext), files });
+        StickyAttachments.rememberPosted(sent, sentMessage);
+        posted.set(String(sticky._id), sentMessage.id);
+    }
+    return posted;
+}
+
+/**
+ * Removes the posted stickies of a channel and sends the live ones again at the
+ * bottom, resetting their message counters.
+ * @param {Discord.TextChannel} channel - Channel to repost in
+ * @param {Object[]} stickies - Every StickyMessage record of that channel
+ * @param {Object} [options]
+ * @param {Object[]} [options.previous] - Records whose posted messages are removed first (default: stickies).
+ *   Leave out records that were never posted, or the legacy content match could hit user messages.
+ * @param {string} [options.lastPoster] - Display name of the member whose message triggered the repost
+ */
+async function repostChannel(channel, stickies, { previous = stickies, lastPoster = null } = {}) {
+    await deletePosted(channel, previous);
+    // Stickies that were already up count a repost and rotate to their next pool entry
+    for (const sticky of stickies) {
+        if (!isLive(sticky) || !sticky.messageId) continue;
+        sticky.repostCount = (sticky.repostCount || 0) + 1;
+        if (sticky.pool && sticky.pool.length > 1) sticky.poolIndex = nextPoolIndex(sticky);
+    }
+    if (lastPoster) stickies.forEach(sticky => { sticky.lastPoster = lastPoster; });
+
+    const posted = await postStickies(channel, stickies.filter(isLive));
+    const lastPostedAt = new Date();
+    StickyCache.resetCounts(channel.id);
+    // In a thread the list may hold the parent's templates, they keep their own state
+    for (const sticky of stickies.filter(rec => rec.channelId === channel.id)) {
+        sticky.msgCount = 0;
+        sticky.messageId = posted.get(String(sticky._id)) || null;
+        sticky.lastPostedAt = lastPostedAt;
+        await StickyStore.update(sticky._id, {
+            msgCount: 0,
+            messageId: sticky.messageId,
+            lastPostedAt,
+            poolIndex: sticky.poolIndex || 0,
+            repostCount: sticky.repostCount || 0,
+            lastPoster: sticky.lastPoster || null,
+            // Attachments carry the CDN URLs of this post, reused by the next one
+            attachments: sticky.attachments || [],
+        });
+    }
+}
+
+/**
+ * Opens and closes scheduled stickies of a channel whose schedule changed
+ * state: closing removes the posted message, opening reposts the channel.
+ * Slowmode follows whether any sticky is still live, see StickySlowmode.sync.
+ * @param {Discord.TextChannel} channel
+ * @param {Object[]} stickies - Every StickyMessage record of that channel
+ * @param {Date} [now]
+ * @returns {Promise<boolean>} Whether anything changed
+ */
+async function syncSchedule(channel, stickies, now = new Date()) {
+    const wasLive = stickies.some(isLive);
+    const changed = stickies.filter(sticky => StickySchedule.isScheduledActive(sticky, now) !== (sticky.scheduleActive !== false));
+    if (changed.length === 0) return false;
+
+    // Paused stickies may still have their message up, it goes too when the channel is reposted
+    const previous = stickies.filter(sticky => isLive(sticky) || sticky.messageId);
+    for (const sticky of changed) {
+        sticky.scheduleActive = sticky.scheduleActive === false;
+        await StickyStore.update(sticky._id, { scheduleActive: sticky.scheduleActive });
+    }
+
+    const isLiveNow = stickies.some(isLive);
+    if (changed.some(isLive) || channelSettings(channel).MultiStickyMode === 'combined') {
+        // Opened stickies must slot in by priority, and a combined message holds every sticky
+        await repostChannel(channel, stickies, { previous });
+    } else {
+        await deletePosted(channel, changed);
+        for (const sticky of changed) {
+            sticky.messageId = null;
+            await StickyStore.update(sticky._id, { messageId: null });
+        }
+    }
+    if (wasLive !== isLiveNow) await StickySlowmode.sync(channel, stickies);
+    return true;
+}
+
+/**
+ * Pauses stickies of a channel: they keep their settings but are not reposted
+ * until resumed.
+ * @param {Discord.TextChannel} channel
+ * @param {Object[]} stickies - Every StickyMessage record of that channel
+ * @param {Object[]} targets - The records to pause, taken from stickies
+ * @param {Object} [options]
+ * @param {Date} [options.until] - When they resume on their own
+ * @param {boolean} [options.removeMessage] - Also remove their posted messages
+ * @param {boolean} [options.restoreSlowmode] - Put the channel's own slowmode back when no live sticky is left
+ * @param {string} [options.by] - ID of the member who paused them
+ */
+async function pauseStickies(channel, stickies, targets, { until = null, removeMessage = false, restoreSlowmode = false, by = null } = {}) {
+    const wasLive = stickies.some(isLive);
+    const previous = stickies.filter(isLive);
+    for (const sticky of targets) {
+        sticky.paused = true;
+        sticky.pausedUntil = until;
+        sticky.pausedBy = by;
+        await StickyStore.update(sticky._id, { paused: true, pausedUntil: until, pausedBy: by });
+    }
+
+    if (removeMessage) {
+        if (channelSettings(channel).MultiStickyMode === 'combined' && stickies.some(isLive)) {
+            // The combined message also holds the stickies that keep running
+            await repostChannel(channel, stickies, { previous });
+        } else {
+            await deletePosted(channel, targets);
+            for (const sticky of targets) {
+                sticky.messageId = null;
+                await StickyStore.update(sticky._id, { messageId: null });
+            }
+        }
+    }
+    if (restoreSlowmode && wasLive && !stickies.some(isLive)) await StickySlowmode.sync(channel, stickies);
+}
+
+/**
+ * Resumes paused stickies of a channel and reposts the channel right away.
+ * @param {Discord.TextChannel} channel
+ * @param {Object[]} stickies - Every StickyMessage record of that channel
+ * @param {Object[]} targets - The records to resume, taken from stickies
+ */
+async function resumeStickies(channel, stickies, targets) {
+    const wasLive = stickies.some(isLive);
+    const previous = stickies.filter(sticky => sticky.messageId);
+    for (const sticky of targets) {
+        sticky.paused = false;
+        sticky.pausedUntil = null;
+        sticky.pausedBy = null;
+        await StickyStore.update(sticky._id, { paused: false, pausedUntil: null, pausedBy: null });
+    }
+    if (!stickies.some(isLive)) return;
+    await repostChannel(channel, stickies, { previous });
+    if (!wasLive) await StickySlowmode.sync(channel, stickies);
+}
+
+module.exports = {
+    settingsOf,
+    channelSettings,
+    isEmbed,
+    contentLimit,
+    sizeProblem,
+    isLive,
+    sortStickies,
+    buildEmbed,
+    buildExtraEmbeds,
+    triggerSettings,
+    isRepostDue,
+    currentContent,
+    nextPoolIndex,
+    buildText,
+    buildPayload,
+    buildCombinedPayload,
+    sendPayload,
+    editPayload,
+    updatePosted,
+    deletePosted,
+    postStickies,
+    repostChannel,
+    syncSchedule,
+    pauseStickies,
+    resumeStickies,
+};
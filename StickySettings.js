@@ -0,0 +1,159 @@
+const yaml = require("js-yaml");
+const fs = require("fs");
+const config = yaml.load(fs.readFileSync("./addons/StickyMessages/config.yml", "utf8"));
+const StickyStore = require("./StickyStore");
+const StickyRecord = require("./StickyRecord");
+
+/**
+ * Per-guild settings: each guild can override some config.yml values with
+ * /sticky settings. Overrides are stored by setting name and kept in memory,
+ * so forGuild() can be used synchronously while rendering and counting. The
+ * guild's permission rules (StickyPermissions.js) are stored alongside them
+ * under "Permissions".
+ */
+
+// Settings a guild can override, with the config.yml path they replace
+const SETTINGS = {
+    MaxMessages: { path: 'MaxMessages', type: 'integer', min: 1 },
+    RepostMode: { path: 'RepostMode', type: 'choice', choices: ['messages', 'time', 'either', 'idle'] },
+    RepostMinutes: { path: 'RepostMinutes', type: 'integer', min: 1 },
+    IdleSeconds: { path: 'IdleSeconds', type: 'integer', min: 5 },
+    MultiStickyMode: { path: 'MultiStickyMode', type: 'choice', choices: ['stack', 'combined'] },
+    EnableSlowmode: { path: 'EnableSlowmode', type: 'boolean' },
+    SlowmodeDelay: { path: 'SlowmodeDelay', type: 'integer', min: 0, max: 21600 },
+    AdaptiveSlowmode: { path: 'AdaptiveSlowmode.Enabled', type: 'boolean' },
+    AdaptiveSlowmodeMax: { path: 'AdaptiveSlowmode.MaxDelay', type: 'integer', min: 1, max: 21600 },
+    EnableEmbeds: { path: 'EnableEmbeds', type: 'boolean' },
+    StickiedMessageTitle: { path: 'StickiedMessageTitle', type: 'text' },
+    EmbedTitle: { path: 'EmbedSettings.Embed.Title', type: 'text' },
+    EmbedColor: { path: 'EmbedSettings.Embed.Color', type: 'color' },
+    EmbedImage: { path: 'EmbedSettings.Embed.Image', type: 'url' },
+    EmbedThumbnail: { path: 'EmbedSettings.Embed.CustomThumbnailURL', type: 'url' },
+    EmbedTimestamp: { path: 'EmbedSettings.Embed.Timestamp', type: 'boolean' },
+    EmbedFooter: { path: 'EmbedSettings.Embed.Footer.text', type: 'text' },
+    WebhooksByDefault: { path: 'Webhooks.EnabledByDefault', type: 'boolean' },
+    ModLogChannel: { path: 'AuditLog.ModLogChannelId', type: 'channel' },
+};
+
+const overridesByGuild = new Map();
+const merged = new Map();
+
+/**
+ * Loads the overrides of every guild.
+ */
+async function load() {
+    overridesByGuild.clear();
+    merged.clear();
+    for (const { guildId, overrides } of await StickyStore.getGuildSettings()) {
+        overridesByGuild.set(guildId, overrides || {});
+    }
+}
+
+/**
+ * The config of a guild: config.yml with the guild's overrides applied.
+ * @param {string|null} guildId
+ * @returns {Object}
+ */
+function forGuild(guildId) {
+    const overrides = guildId && overridesByGuild.get(guildId);
+    if (!overrides || Object.keys(overrides).length === 0) return config;
+    if (!merged.has(guildId)) {
+        const changes = {};
+        for (const [name, value] of Object.entries(overrides)) {
+            if (SETTINGS[name]) changes[SETTINGS[name].path] = value;
+        }
+        merged.set(guildId, StickyRecord.applyChanges(structuredClone(config), changes));
+    }
+    return merged.get(guildId);
+}
+
+/**
+ * The overrides a guild has set.
+ * @param {string} guildId
+ * @returns {Object} Values keyed by setting name
+ */
+function overridesOf(guildId) {
+    return { ...(overridesByGuild.get(guildId) || {}) };
+}
+
+/**
+ * Parses a value typed in /sticky settings for a setting.
+ * @param {string} name - Setting name, a key of SETTINGS
+ * @param {string} text - Value as typed
+ * @returns {{ value: *, error: string|null }}
+ */
+function parseValue(name, text) {
+    const setting = SETTINGS[name];
+    const raw = text.trim();
+    switch (setting.type) {
+        case 'integer': {
+            const value = Number(raw);
+            if (!Number.isInteger(value) || value < setting.min || (setting.max !== undefined && value > setting.max)) {
+                return { value: null, error: `${name} must be a whole number from ${setting.min}${setting.max !== undefined ? ` to ${setting.max}` : ' up'}` };
+            }
+            return { value, error: null };
+        }
+        case 'boolean': {
+            if (['true', 'yes', 'on'].includes(raw.toLowerCase())) return { value: true, error: null };
+            if (['false', 'no', 'off'].includes(raw.toLowerCase())) return { value: false, error: null };
+            return { value: null, error: `${name} must be true or false` };
+        }
+        case 'choice': {
+            const value = raw.toLowerCase();
+            return setting.choices.includes(value)
+                ? { value, error: null }
+                : { value: null, error: `${name} must be one of: ${setting.choices.join(', ')}` };
+        }
+        case 'color':
+            return /^#?[0-9a-f]{6}$/i.test(raw)
+                ? { value: `#${raw.replace('#', '')}`, error: null }
+                : { value: null, error: `"${raw}" is not a valid hex color, use something like #ff0000` };
+        case 'channel': {
+            const id = raw.replace(/^<#(\d+)>$/, '$1');
+            return /^\d+$/.test(id) || id === ''
+                ? { value: id, error: null }
+                : { value: null, error: `${name} must be a channel mention or ID` };
+        }
+        case 'url':
+            return /^https?:\/\/\S+$/i.test(raw) || raw === ''
+                ? { value: raw, error: null }
+                : { value: null, error: `${name} must be an http(s) URL` };
+        default:
+            return { value: raw.replace(/\\n/g, '\n'), error: null };
+    }
+}
+
+/**
+ * Sets or clears (value null) a guild override and saves it.
+ * @param {string} guildId
+ * @param {string} name - Setting name, a key of SETTINGS
+ * @param {*} value - Parsed value, or null to use config.yml again
+ */
+async function set(guildId, name, value) {
+    const overrides = overridesOf(guildId);
+    if (value === null) delete overrides[name];
+    else overrides[name] = value;
+    await StickyStore.saveGuildSettings(guildId, overrides);
+    overridesByGuild.set(guildId, overrides);
+    merged.delete(guildId);
+}
+
+/**
+ * The value a guild currently uses for a setting.
+ * @param {string} guildId
+ * @param {string} name - Setting name, a key of SETTINGS
+ * @returns {*}
+ */
+function valueOf(guildId, name) {
+    return SETTINGS[name].path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), forGuild(guildId));
+}
+
+module.exports = {
+    SETTINGS,
+    load,
+    forGuild,
+    overridesOf,
+    parseValue,
+    set,
+    valueOf,
+};
@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// Per-guild overrides of config.yml, keyed by setting name (see StickySettings.js)
+const stickySettingsSchema = new mongoose.Schema({
+    guildId: { type: String, required: true, unique: true },
+    overrides: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+}, { minimize: false });
+
+module.exports = mongoose.model('StickySettings', stickySettingsSchema);
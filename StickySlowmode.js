@@ -0,0 +1,190 @@
+const StickyStore = require("./StickyStore");
+const StickySettings = require("./StickySettings");
+const StickyRecord = require("./StickyRecord");
+
+/**
+ * Slowmode of sticky channels. While a channel has live stickies its slowmode
+ * is the highest delay they ask for; the rate limit the channel had before is
+ * saved on its records (previousSlowmode) and put back once none is left.
+ *
+ * Adaptive slowmode raises the delay step by step while messages arrive
+ * faster than AdaptiveSlowmode.MessagesPerMinute and lowers it again once the
+ * channel calms down. Its state lives in memory only; a restart simply goes
+ * back to the base delay.
+ */
+
+const VELOCITY_WINDOW_MS = 60 * 1000;
+
+// channelId -> { level, changedAt, messages }; level is the raised delay or null
+const adaptiveState = new Map();
+
+/**
+ * The delay a sticky asks for: its own value, else the guild's SlowmodeDelay
+ * when EnableSlowmode is on.
+ * @param {Object} sticky - StickyMessage record
+ * @returns {number|null} Seconds, or null when it doesn't want a slowmode
+ */
+function slowmodeOf(sticky) {
+    if (sticky.slowmode !== null && sticky.slowmode !== undefined) return sticky.slowmode;
+    const settings = StickySettings.forGuild(sticky.guildId);
+    return settings.EnableSlowmode ? (settings.SlowmodeDelay || 0) : null;
+}
+
+/**
+ * Whether adaptive slowmode is on for a sticky: its own choice, else the
+ * guild's AdaptiveSlowmode.Enabled.
+ * @param {Object} sticky - StickyMessage record
+ * @returns {boolean}
+ */
+function isAdaptive(sticky) {
+    if (sticky.adaptiveSlowmode !== null && sticky.adaptiveSlowmode !== undefined) return sticky.adaptiveSlowmode;
+    const adaptive = StickySettings.forGuild(sticky.guildId).AdaptiveSlowmode;
+    return !!(adaptive && adaptive.Enabled);
+}
+
+/**
+ * Adaptive slowmode settings of a guild, with defaults for missing keys.
+ * @param {string} guildId
+ * @returns {{ MessagesPerMinute: number, CalmMessagesPerMinute: number, MaxDelay: number, CooldownSeconds: number }}
+ */
+function adaptiveSettings(guildId) {
+    return {
+        MessagesPerMinute: 30,
+        CalmMessagesPerMinute: 10,
+        MaxDelay: 30,
+        CooldownSeconds: 60,
+        ...(StickySettings.forGuild(guildId).AdaptiveSlowmode || {}),
+    };
+}
+
+/**
+ * The rate limit saved from before the stickies took over the channel.
+ * @param {Object[]} stickies
+ * @returns {number|null}
+ */
+function savedSlowmode(stickies) {
+    const saved = stickies.find(sticky => sticky.previousSlowmode !== null && sticky.previousSlowmode !== undefined);
+    return saved ? saved.previousSlowmode : null;
+}
+
+/**
+ * Highest delay the live stickies of a channel ask for. An adaptive sticky
+ * without a delay of its own keeps the channel's own rate limit as its base.
+ * @param {Object[]} stickies
+ * @param {number} [own] - The channel's own rate limit, when none is saved yet
+ * @returns {number|null}
+ */
+function baseDelay(stickies, own = 0) {
+    const fallback = savedSlowmode(stickies) !== null ? savedSlowmode(stickies) : own;
+    const delays = stickies.filter(StickyRecord.isLive)
+        .map(sticky => (slowmodeOf(sticky) === null && isAdaptive(sticky) ? fallback : slowmodeOf(sticky)))
+        .filter(delay => delay !== null);
+    return delays.length > 0 ? Math.max(...delays) : null;
+}
+
+/**
+ * Sets the rate limit of a channel. Failing to do so, e.g. without Manage
+ * Channels, must not stop the sticky from posting, so it is only logged.
+ * @param {Discord.TextChannel} channel
+ * @param {number} delay - Seconds
+ */
+async function setDelay(channel, delay) {
+    if (channel.rateLimitPerUser === delay) return;
+    await channel.setRateLimitPerUser(delay)
+        .catch(e => console.warn(`[StickyMessages] Failed to set the slowmode of channel ${channel.id} to ${delay}s: ${e.message}`));
+}
+
+/**
+ * Applies the slowmode the stickies of a channel ask for, saving the channel's
+ * own rate limit first, or restores that rate limit when no live sticky wants
+ * a slowmode. Call it whenever stickies are created, deleted, paused or
+ * resumed, or their schedule or slowmode changes.
+ * @param {Discord.TextChannel} channel
+ * @param {Object[]} stickies - Every StickyMessage record of that channel
+ * @param {Object} [options]
+ * @param {Object[]} [options.removed] - Records just deleted, they may hold the saved rate limit
+ */
+async function sync(channel, stickies, { removed = [] } = {}) {
+    // Templates of a thread's parent channel don't hold that thread's slowmode
+    const own = sticky => sticky.channelId === channel.id;
+    stickies = stickies.filter(own);
+    let previous = savedSlowmode([...stickies, ...removed.filter(own)]);
+    const delay = baseDelay(stickies, previous !== null ? previous : channel.rateLimitPerUser || 0);
+    adaptiveState.delete(channel.id);
+
+    if (delay === null) {
+        if (previous !== null) await setDelay(channel, previous);
+        previous = null;
+    } else {
+        if (previous === null) previous = channel.rateLimitPerUser || 0;
+        await setDelay(channel, delay);
+    }
+
+    for (const sticky of stickies) {
+        if (sticky.previousSlowmode === previous) continue;
+        sticky.previousSlowmode = previous;
+        await StickyStore.update(sticky._id, { previousSlowmode: previous });
+    }
+}
+
+/**
+ * Counts a message for adaptive slowmode and raises the delay one step when
+ * the channel is busier than MessagesPerMinute.
+ * @param {Discord.TextChannel} channel
+ * @param {Object[]} stickies - Live StickyMessage records of that channel
+ */
+async function trackMessage(channel, stickies) {
+    if (!stickies.some(isAdaptive)) return;
+    const base = baseDelay(stickies) || 0;
+    const settings = adaptiveSettings(channel.guild.id);
+    const now = Date.now();
+    const state = adaptiveState.get(channel.id) || { level: null, changedAt: 0, messages: [] };
+    adaptiveState.set(channel.id, state);
+    state.messages = state.messages.filter(time => now - time < VELOCITY_WINDOW_MS);
+    state.messages.push(now);
+
+    const current = state.level !== null ? state.level : base;
+    if (state.messages.length < settings.MessagesPerMinute || current >= settings.MaxDelay) return;
+    if (now - state.changedAt < settings.CooldownSeconds * 1000) return;
+    state.level = Math.min(settings.MaxDelay, Math.max(current * 2, current + 1));
+    state.changedAt = now;
+    await setDelay(channel, state.level);
+}
+
+/**
+ * Lowers a raised adaptive delay one step once the channel has calmed down,
+ * back to the base delay eventually. Run it periodically.
+ * @param {Discord.TextChannel} channel
+ * @param {Object[]} stickies - Live StickyMessage records of that channel
+ */
+async function calmDown(channel, stickies) {
+    const state = adaptiveState.get(channel.id);
+    if (!state || state.level === null) return;
+    const base = baseDelay(stickies) || 0;
+    const settings = adaptiveSettings(channel.guild.id);
+    const now = Date.now();
+    state.messages = state.messages.filter(time => now - time < VELOCITY_WINDOW_MS);
+    if (state.messages.length > settings.CalmMessagesPerMinute || now - state.changedAt < settings.CooldownSeconds * 1000) return;
+
+    const level = Math.floor(state.level / 2);
+    state.level = level > base ? level : null;
+    state.changedAt = now;
+    await setDelay(channel, state.level !== null ? state.level : base);
+}
+
+/**
+ * Channels whose delay adaptive slowmode has raised.
+ * @returns {string[]} Channel IDs
+ */
+function raisedChannels() {
+    return [...adaptiveState].filter(([, state]) => state.level !== null).map(([channelId]) => channelId);
+}
+
+module.exports = {
+    slowmodeOf,
+    isAdaptive,
+    sync,
+    trackMessage,
+    calmDown,
+    raisedChannels,
+};
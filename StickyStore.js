@@ -0,0 +1,191 @@
+const yaml = require("js-yaml");
+const fs = require("fs");
+const config = yaml.load(fs.readFileSync("./addons/StickyMessages/config.yml", "utf8"));
+const StickyRecord = require("./StickyRecord");
+
+/**
+ * Storage for sticky records, backed by the implementation selected with
+ * Storage.Backend in config.yml ("mongodb", "sqlite" or "memory").
+ *
+ * Every backend implements init, find, findById, create, update, delete and
+ * increment for sticky records, getGuildSettings and saveGuildSettings for
+ * the per-guild overrides of StickySettings.js, and addAuditEntry and
+ * findAuditEntries for the audit trail of StickyAudit.js. Filters are plain equality filters on record fields and updates
+ * are change sets whose keys may be dotted paths ("appearance.title"). The
+ * records returned here are plain objects with a string `_id` and every
+ * field filled in (see StickyRecord.js).
+ */
+
+/**
+ * @returns {string} The configured backend name
+ */
+function backendName() {
+    return ((config.Storage && config.Storage.Backend) || 'mongodb').toLowerCase();
+}
+
+/**
+ * Creates a backend by name.
+ * @param {string} name - "mongodb", "sqlite" or "memory"
+ * @returns {Object}
+ */
+function createBackend(name) {
+    switch (name) {
+        case 'mongodb': {
+            const MongoStickyStore = require("./MongoStickyStore");
+            return new MongoStickyStore();
+        }
+        case 'sqlite': {
+            const SQLiteStickyStore = require("./SQLiteStickyStore");
+            return new SQLiteStickyStore((config.Storage && config.Storage.SQLiteFile) || './addons/StickyMessages/stickies.sqlite');
+        }
+        case 'memory': {
+            const MemoryStickyStore = require("./MemoryStickyStore");
+            return new MemoryStickyStore();
+        }
+        default:
+            throw new Error(`Unknown storage backend "${name}", use "mongodb", "sqlite" or "memory"`);
+    }
+}
+
+const backend = createBackend(backendName());
+
+/**
+ * Copies every record, guild setting and audit entry from MongoDB into the
+ * selected backend, keeping their IDs. Data that was already copied is skipped,
+ * so running it again is harmless. Runs at startup while
+ * Storage.MigrateFromMongo is true.
+ */
+async function migrateFromMongo() {
+    if (backendName() === 'mongodb') return;
+    const source = createBackend('mongodb');
+    await source.init();
+    const records = await source.find();
+    let copied = 0;
+    for (const rec of records) {
+        if (await backend.findById(String(rec._id))) continue;
+        await backend.create(StickyRecord.normalize(rec));
+        copied += 1;
+    }
+    const migratedGuilds = new Set((await backend.getGuildSettings()).map(settings => settings.guildId));
+    for (const { guildId, overrides } of await source.getGuildSettings()) {
+        if (!migratedGuilds.has(guildId)) await backend.saveGuildSettings(guildId, overrides || {});
+    }
+    // The trail is append-only, so it is copied only into a backend that has none yet
+    if ((await backend.findAuditEntries({}, { limit: 1 })).length === 0) {
+        const entries = await source.findAuditEntries({}, { limit: Number.MAX_SAFE_INTEGER });
+        for (const entry of entries.reverse()) await backend.addAuditEntry({ ...entry, _id: String(entry._id) });
+    }
+    console.log(`[StickyMessages] Copied ${copied} of ${records.length} sticky records from MongoDB to ${backendName()}. You can now set Storage.MigrateFromMongo to false.`);
+}
+
+/**
+ * Prepares the backend and runs the MongoDB migration when enabled.
+ * Call it once at startup before using the store.
+ */
+async function init() {
+    await backend.init();
+    if (config.Storage && config.Storage.MigrateFromMongo) await migrateFromMongo();
+}
+
+/**
+ * @param {Object} [filter] - Equality filter, e.g. { channelId }
+ * @returns {Promise<Object[]>}
+ */
+async function find(filter = {}) {
+    return (await backend.find(filter)).map(StickyRecord.normalize);
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+async function findById(id) {
+    const rec = await backend.findById(id);
+    return rec ? StickyRecord.normalize(rec) : null;
+}
+
+/**
+ * @param {Object} data - Fields of the new record, missing ones get their default
+ * @returns {Promise<Object>} The created record
+ */
+async function create(data) {
+    return StickyRecord.normalize(await backend.create({ ...StickyRecord.createDefaults(), ...data }));
+}
+
+/**
+ * @param {string} id
+ * @param {Object} changes - Fields to set, dotted paths allowed
+ * @returns {Promise<Object|null>} The updated record, or null if it doesn't exist
+ */
+async function update(id, changes) {
+    const rec = await backend.update(id, changes);
+    return rec ? StickyRecord.normalize(rec) : null;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Object|null>} The deleted record, or null if it didn't exist
+ */
+async function remove(id) {
+    const rec = await backend.delete(id);
+    return rec ? StickyRecord.normalize(rec) : null;
+}
+
+/**
+ * Adds an amount to a numeric field of every matching record.
+ * @param {Object} filter - Equality filter, e.g. { channelId }
+ * @param {string} field
+ * @param {number} amount
+ */
+async function increment(filter, field, amount) {
+    await backend.increment(filter, field, amount);
+}
+
+/**
+ * @returns {Promise<Object[]>} The settings overrides of every guild, as { guildId, overrides }
+ */
+async function getGuildSettings() {
+    return backend.getGuildSettings();
+}
+
+/**
+ * @param {string} guildId
+ * @param {Object} overrides - Values keyed by setting name, replacing the stored ones
+ */
+async function saveGuildSettings(guildId, overrides) {
+    await backend.saveGuildSettings(guildId, overrides);
+}
+
+/**
+ * @param {Object} entry - Audit entry fields, see StickyAudit.record
+ */
+async function addAuditEntry(entry) {
+    await backend.addAuditEntry(entry);
+}
+
+/**
+ * @param {Object} filter - Equality filter on guildId, channelId and stickyName
+ * @param {Object} [options]
+ * @param {number} [options.skip] - Entries to skip, for paging
+ * @param {number} [options.limit] - Entries to return
+ * @returns {Promise<Object[]>} Matching entries, newest first
+ */
+async function findAuditEntries(filter, options = {}) {
+    return (await backend.findAuditEntries(filter, options))
+        .map(entry => ({ ...entry, _id: String(entry._id), createdAt: new Date(entry.createdAt) }));
+}
+
+module.exports = {
+    init,
+    migrateFromMongo,
+    find,
+    findById,
+    create,
+    update,
+    delete: remove,
+    increment,
+    getGuildSettings,
+    saveGuildSettings,
+    addAuditEntry,
+    findAuditEntries,
+};
@@ -0,0 +1,116 @@
+const StickySchedule = require("./StickySchedule");
+
+// {{ and }} are literal braces, {name} or {name:argument} is a variable
+const TOKEN = /\{\{|\}\}|\{(\w+)(?::([^{}]+))?\}/g;
+
+// The longest each variable can get, so stickies can be checked against Discord's limits before posting.
+// Names may double in length when every character is an escaped @, see escapeMentions().
+const MAX_LENGTHS = {
+    channel: 22,
+    server: 200,
+    membercount: 10,
+    date: 20,
+    time: 10,
+    lastposter: 64,
+    repostcount: 10,
+    countdown: 20,
+};
+
+/**
+ * Formats a date in a time zone, or returns null for an unknown zone.
+ * @param {Date} date
+ * @param {string} timeZone - IANA time zone name
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string|null}
+ */
+function formatIn(date, timeZone, options) {
+    try {
+        return new Intl.DateTimeFormat('en-GB', { timeZone, ...options }).format(date);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Keeps names filled in by variables from pinging anyone: a zero-width space
+ * after each @ breaks "@everyone", "@here" and "<@id>" without changing how
+ * the name looks. Mentions the author typed in the sticky text still work.
+ * @param {string} name - Member or server name
+ * @returns {string}
+ */
+function escapeMentions(name) {
+    return name.replace(/@/g, '@\u200b');
+}
+
+/**
+ * Resolves one template variable. Returns null for unknown variables or
+ * invalid arguments so the placeholder is left untouched.
+ * @param {string} name - Variable name, case-insensitive
+ * @param {string|undefined} argument - Text after the ":" if any
+ * @param {Object} context - See render()
+ * @returns {string|null}
+ */
+function resolve(name, argument, context) {
+    const { channel, sticky, lastPoster, now } = context;
+    const guild = channel && channel.guild;
+
+    switch (name.toLowerCase()) {
+        case 'channel': return channel ? `<#${channel.id}>` : null;
+        case 'server': return guild ? escapeMentions(guild.name) : null;
+        case 'membercount': return guild ? String(guild.memberCount) : null;
+        case 'date': return formatIn(now, (argument || StickySchedule.scheduleTimezone()).trim(), { dateStyle: 'medium' });
+        case 'time': return formatIn(now, (argument || StickySchedule.scheduleTimezone()).trim(), { timeStyle: 'short' });
+        case 'lastposter': return escapeMentions(lastPoster || (sticky && sticky.lastPoster) || 'nobody');
+        case 'repostcount': return String((sticky && sticky.repostCount) || 0);
+        case 'countdown': {
+            // Discord renders relative timestamps client-side, so the countdown stays live between reposts
+            const target = argument ? new Date(argument.trim()) : null;
+            return target && !isNaN(target.getTime()) ? `<t:${Math.floor(target.getTime() / 1000)}:R>` : null;
+        }
+        default: return null;
+    }
+}
+
+/**
+ * Replaces the template variables in sticky text:
+ * {channel}, {server}, {membercount}, {date}, {date:Zone}, {time}, {time:Zone},
+ * {lastPoster}, {repostCount} and {countdown:ISO-date}. Write {{ or }} for a
+ * literal brace, e.g. "{{channel}}" shows "{channel}".
+ * @param {string} text - Raw sticky text
+ * @param {Object} context
+ * @param {Object} [context.channel] - Channel the sticky is posted in
+ * @param {Object} [context.sticky] - StickyMessage record being rendered
+ * @param {string} [context.lastPoster] - Display name of the last member who posted
+ * @param {Date} [context.now] - Defaults to now
+ * @returns {string}
+ */
+function render(text, context = {}) {
+    if (!text) return text;
+    const ctx = { now: new Date(), ...context };
+    return text.replace(TOKEN, (token, name, argument) => {
+        if (token === '{{') return '{';
+        if (token === '}}') return '}';
+        const value = resolve(name, argument, ctx);
+        return value === null ? token : value;
+    });
+}
+
+/**
+ * The longest sticky text can get once rendered, with every variable at the
+ * longest value it can have.
+ * @param {string} text - Raw sticky text
+ * @returns {number}
+ */
+function maxLength(text) {
+    if (!text) return 0;
+    return text.replace(TOKEN, (token, name) => {
+        if (token === '{{' || token === '}}') return '_';
+        const max = MAX_LENGTHS[name.toLowerCase()];
+        return max === undefined ? token : '_'.repeat(max);
+    }).length;
+}
+
+module.exports = {
+    render,
+    maxLength,
+};
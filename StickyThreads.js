@@ -0,0 +1,154 @@
+const StickyStore = require("./StickyStore");
+const StickyService = require("./StickyService");
+const StickySchedule = require("./StickySchedule");
+const StickyCache = require("./StickyCache");
+const StickyQueue = require("./StickyQueue");
+const StickySlowmode = require("./StickySlowmode");
+const StickyTransfer = require("./StickyTransfer");
+
+/**
+ * Stickies in threads and forum posts. A thread template is a sticky stored on
+ * a text or forum channel with threadTemplate set: it is never posted there,
+ * but copied into every thread created under that channel. Each copy is a
+ * sticky of the thread with templateId pointing back at its template; it
+ * follows every change of the template and is removed again when the thread
+ * is archived or deleted.
+ */
+
+// Settings a thread copy takes from its template; everything else is the copy's own state
+const TEMPLATE_FIELDS = [
+    'name', 'priority', 'message', 'useWebhook', 'useEmbed', 'webhookId', 'webhookToken', 'webhookName', 'webhookAvatarURL',
+    'appearance', 'repostMode', 'maxMessages', 'repostMinutes', 'idleSeconds', 'countFilters', 'startsAt', 'expiresAt', 'activeWindows',
+    'pool', 'poolMode', 'paused', 'pausedUntil', 'pausedBy', 'slowmode', 'adaptiveSlowmode', 'buttons', 'extraEmbeds', 'attachments',
+];
+
+/**
+ * The settings of a template that a copy takes over.
+ * @param {Object} template - StickyMessage record with threadTemplate set
+ * @returns {Object}
+ */
+function templateSettings(template) {
+    return Object.fromEntries(TEMPLATE_FIELDS.map(field => [field, template[field]]));
+}
+
+/**
+ * Whether a copy is behind its template. Attachments are compared by file,
+ * as every copy keeps the CDN links of its own posts.
+ * @param {Object} template
+ * @param {Object} copy
+ * @returns {boolean}
+ */
+function isOutdated(template, copy) {
+    const files = entries => (entries || []).map(entry => ({ name: entry.name, path: entry.path, size: entry.size }));
+    return TEMPLATE_FIELDS.some(field => (field === 'attachments'
+        ? StickyTransfer.comparable(files(template.attachments)) !== StickyTransfer.comparable(files(copy.attachments))
+        : StickyTransfer.comparable(template[field]) !== StickyTransfer.comparable(copy[field])));
+}
+
+/**
+ * The posted messages a thread repost replaces. A paused sticky of the thread
+ * keeps its message, as it would without the repost.
+ * @param {Object[]} stickies - Records of the thread before the change
+ * @returns {Object[]}
+ */
+function toReplace(stickies) {
+    return stickies.filter(sticky => sticky.messageId && (sticky.templateId || !sticky.paused));
+}
+
+/**
+ * Copies the templates of a thread's parent channel into a new thread and
+ * posts them.
+ * @param {Discord.ThreadChannel} thread
+ * @returns {Promise<Object[]>} The records created
+ */
+async function instantiate(thread) {
+    const templates = (await StickyStore.find({ channelId: thread.parentId, threadTemplate: true }))
+        .filter(template => template.guildId === thread.guild.id);
+    if (templates.length === 0) return [];
+
+    return StickyQueue.runExclusive(thread.id, async () => {
+        const existing = await StickyStore.find({ channelId: thread.id });
+        const created = [];
+        for (const template of templates) {
+            // A sticky set in the thread by hand wins over a template of the same name
+            if (existing.some(sticky => sticky.templateId === template._id || sticky.name === template.name)) continue;
+            created.push(await StickyStore.create({
+                ...templateSettings(template),
+                guildId: thread.guild.id,
+                channelId: thread.id,
+                templateId: template._id,
+                scheduleActive: StickySchedule.isScheduledActive(template),
+                createdBy: template.createdBy,
+                createdAt: new Date(),
+            }));
+        }
+        if (created.length === 0) return created;
+
+        const stickies = [...existing, ...created];
+        await StickyService.repostChannel(thread, stickies, { previous: toReplace(existing) });
+        await StickySlowmode.sync(thread, stickies);
+        await StickyCache.refresh(thread.id);
+        return created;
+    });
+}
+
+/**
+ * Removes the template copies of a thread that was archived or deleted. Their
+ * posted messages stay in the archived thread, which can't be changed anymore.
+ * @param {Discord.ThreadChannel} thread
+ * @returns {Promise<Object[]>} The records removed
+ */
+async function removeCopies(thread) {
+    return StickyQueue.runExclusive(thread.id, async () => {
+        const copies = (await StickyStore.find({ channelId: thread.id })).filter(sticky => sticky.templateId);
+        for (const copy of copies) await StickyStore.delete(copy._id);
+        if (copies.length > 0) await StickyCache.refresh(thread.id);
+        return copies;
+    });
+}
+
+/**
+ * Brings the thread copies of a guild up to date with their templates: changed
+ * copies are saved and their thread reposted, copies of deleted templates are
+ * removed. Run it after stickies were changed by a command.
+ * @param {Discord.Client} client
+ * @param {string} guildId
+ */
+async function syncCopies(client, guildId) {
+    const records = await StickyStore.find({ guildId });
+    const templates = new Map(records.filter(sticky => sticky.threadTemplate).map(template => [template._id, template]));
+    const copies = records.filter(sticky => sticky.templateId);
+
+    for (const threadId of new Set(copies.map(copy => copy.channelId))) {
+        const outdated = copies.filter(copy => copy.channelId === threadId
+            && (!templates.has(copy.templateId) || isOutdated(templates.get(copy.templateId), copy)));
+        if (outdated.length === 0) continue;
+
+        await StickyQueue.runExclusive(threadId, async () => {
+            const before = await StickyStore.find({ channelId: threadId });
+            const removed = [];
+            for (const copy of outdated) {
+                const template = templates.get(copy.templateId);
+                if (template) await StickyStore.update(copy._id, templateSettings(template));
+                else {
+                    await StickyStore.delete(copy._id);
+                    removed.push(copy);
+                }
+            }
+
+            const thread = client.channels.cache.get(threadId);
+            if (thread && !thread.archived) {
+                const stickies = await StickyStore.find({ channelId: threadId });
+                await StickyService.repostChannel(thread, stickies, { previous: toReplace(before) });
+                await StickySlowmode.sync(thread, stickies, { removed });
+            }
+            await StickyCache.refresh(threadId);
+        }).catch(e => console.error(`[StickyMessages] Failed to update the template stickies of thread ${threadId}:`, e));
+    }
+}
+
+module.exports = {
+    instantiate,
+    removeCopies,
+    syncCopies,
+};
@@ -0,0 +1,316 @@
+const yaml = require("js-yaml");
+const StickyRecord = require("./StickyRecord");
+const StickySchedule = require("./StickySchedule");
+
+/**
+ * Export and import of sticky definitions, to copy stickies between servers.
+ * An export holds what a sticky is (content, appearance, repost trigger,
+ * counting filters, schedule, pool, slowmode, buttons, extra embeds, whether it is a thread
+ * template) and the ID and name of its channel, never its state, attachments
+ * or webhook credentials: the importing server posts the stickies afresh and
+ * creates its own webhooks. Copies of thread templates are state too.
+ */
+
+const EXPORT_VERSION = 1;
+// Same as the name option of /sticky create
+const MAX_NAME_LENGTH = 32;
+const REPOST_MODES = ['messages', 'time', 'either', 'idle'];
+const POOL_MODES = ['sequential', 'random'];
+const BUTTON_TYPES = {
+    link: button => isURL(button.url),
+    role: button => typeof button.roleId === 'string' && /^\d+$/.test(button.roleId),
+    callback: button => typeof button.callbackId === 'string' && /^[\w-]+$/.test(button.callbackId),
+};
+
+const EXTRA_EMBED_FIELDS = ['title', 'description', 'color', 'image', 'thumbnail', 'footerText'];
+
+const isURL = value => typeof value === 'string' && /^https?:\/\/\S+$/i.test(value);
+const isInteger = (min, max = Infinity) => value => Number.isInteger(value) && value >= min && value <= max;
+
+// Every exported field with its check; null is accepted where the record allows it
+const FIELDS = {
+    name: { check: value => typeof value === 'string' && value.trim().length > 0, expected: 'a name' },
+    priority: { check: isInteger(-Infinity), expected: 'a whole number' },
+    message: { check: value => typeof value === 'string', expected: 'text' },
+    useEmbed: { check: value => typeof value === 'boolean', expected: 'true or false' },
+    useWebhook: { check: value => typeof value === 'boolean', expected: 'true or false' },
+    webhookName: { nullable: true, check: value => typeof value === 'string' && value.length <= 80, expected: 'a name of up to 80 characters' },
+    webhookAvatarURL: { nullable: true, check: isURL, expected: 'an http(s) URL' },
+    appearance: { check: value => typeof value === 'object' && value !== null && !Array.isArray(value), expected: 'a map of appearance settings' },
+    repostMode: { nullable: true, check: value => REPOST_MODES.includes(value), expected: REPOST_MODES.join(', ') },
+    maxMessages: { nullable: true, check: isInteger(1), expected: 'a number of at least 1' },
+    repostMinutes: { nullable: true, check: isInteger(1), expected: 'a number of at least 1' },
+    idleSeconds: { nullable: true, check: isInteger(5), expected: 'a number of at least 5' },
+    countFilters: { check: value => typeof value === 'object' && value !== null && !Array.isArray(value), expected: 'a map of counting filters' },
+    startsAt: { nullable: true, date: true, expected: 'an ISO date' },
+    expiresAt: { nullable: true, date: true, expected: 'an ISO date' },
+    activeWindows: { check: value => Array.isArray(value) && value.every(window => typeof window === 'string'), expected: 'a list of windows' },
+    pool: { check: value => Array.isArray(value) && value.every(entry => typeof entry === 'string'), expected: 'a list of texts' },
+    poolMode: { check: value => POOL_MODES.includes(value), expected: POOL_MODES.join(', ') },
+    slowmode: { nullable: true, check: isInteger(0, 21600), expected: 'seconds from 0 to 21600' },
+    adaptiveSlowmode: { nullable: true, check: value => typeof value === 'boolean', expected: 'true or false' },
+    buttons: {
+        check: value => Array.isArray(value) && value.length <= 15 && value.every(button => button && BUTTON_TYPES[button.type]
+            && typeof button.label === 'string' && button.label.length > 0 && BUTTON_TYPES[button.type](button)),
+        expected: 'a list of up to 15 link, role or callback buttons',
+    },
+    threadTemplate: { check: value => typeof value === 'boolean', expected: 'true or false' },
+    extraEmbeds: {
+        check: value => Array.isArray(value) && value.length <= 9 && value.every(extra => extra && typeof extra === 'object'
+            && typeof extra.description === 'string' && EXTRA_EMBED_FIELDS.every(key => extra[key] == null || typeof extra[key] === 'string')),
+        expected: 'a list of up to 9 embeds, each with a description',
+    },
+};
+
+const APPEARANCE_FIELDS = {
+    title: value => typeof value === 'string',
+    color: value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value),
+    image: isURL,
+    thumbnail: isURL,
+    footerText: value => typeof value === 'string',
+    footerIconURL: isURL,
+    timestamp: value => typeof value === 'boolean',
+    authorName: value => typeof value === 'string',
+    authorIconURL: isURL,
+    fields: value => Array.isArray(value) && value.length <= 25
+        && value.every(field => field && typeof field.name === 'string' && typeof field.value === 'string'),
+};
+
+const isIdList = value => Array.isArray(value) && value.every(id => typeof id === 'string' && /^\d+$/.test(id));
+const COUNT_FILTER_FIELDS = {
+    ignoreBots: value => typeof value === 'boolean',
+    ignoreRoles: isIdList,
+    ignoreUsers: isIdList,
+    minLength: isInteger(0, 2000),
+    ignoreAttachmentOnly: value => typeof value === 'boolean',
+    ignoreEmojiOnly: value => typeof value === 'boolean',
+    requireLinks: value => typeof value === 'boolean',
+    keywords: value => Array.isArray(value) && value.every(keyword => typeof keyword === 'string' && keyword.length > 0),
+};
+
+/**
+ * The exported form of one sticky.
+ * @param {Object} sticky - StickyMessage record
+ * @param {Object|null} channel - Its channel, when it still exists
+ * @returns {Object}
+ */
+function toDefinition(sticky, channel) {
+    const definition = { channel: { id: sticky.channelId, name: channel ? channel.name : null } };
+    for (const [field, spec] of Object.entries(FIELDS)) {
+        const value = sticky[field];
+        definition[field] = spec.date && value ? new Date(value).toISOString() : value;
+    }
+    return definition;
+}
+
+/**
+ * Serializes the stickies of a guild.
+ * @param {Discord.Guild} guild
+ * @param {Object[]} stickies - StickyMessage records of that guild
+ * @param {string} format - "json" or "yaml"
+ * @returns {string}
+ */
+function exportStickies(guild, stickies, format) {
+    const data = {
+        version: EXPORT_VERSION,
+        guild: { id: guild.id, name: guild.name },
+        exportedAt: new Date().toISOString(),
+        stickies: stickies.filter(sticky => !sticky.templateId).map(sticky => toDefinition(sticky, guild.channels.cache.get(sticky.channelId))),
+    };
+    return format === 'yaml' ? yaml.dump(data, { lineWidth: -1, noRefs: true }) : JSON.stringify(data, null, 2);
+}
+
+/**
+ * Checks one imported sticky and turns it into record fields.
+ * @param {Object} raw - Entry of the file's stickies list
+ * @returns {{ channel: Object, fields: Object, errors: string[] }}
+ */
+function validateDefinition(raw) {
+    const errors = [];
+    const fields = StickyRecord.createDefaults();
+    delete fields.guildId;
+    if (typeof raw !== 'object' || raw === null) return { channel: {}, fields, errors: ['is not a map of sticky settings'] };
+
+    const channel = raw.channel && typeof raw.channel === 'object' ? raw.channel : {};
+    if (!channel.id && !channel.name) errors.push('has no channel id or name');
+
+    for (const [field, spec] of Object.entries(FIELDS)) {
+        if (raw[field] === undefined) continue;
+        const value = raw[field];
+        if (value === null && spec.nullable) {
+            fields[field] = null;
+        } else if (spec.date) {
+            const date = new Date(value);
+            if (isNaN(date.getTime())) errors.push(`${field} must be ${spec.expected}`);
+            else fields[field] = date;
+        } else if (!spec.check(value)) {
+            errors.push(`${field} must be ${spec.expected}`);
+        } else {
+            fields[field] = value;
+        }
+    }
+    fields.buttons = fields.buttons.map(button => ({
+        type: button.type,
+        label: button.label,
+        style: button.style || null,
+        emoji: button.emoji || null,
+        row: button.row || 1,
+        url: button.type === 'link' ? button.url : null,
+        roleId: button.type === 'role' ? button.roleId : null,
+        callbackId: button.type === 'callback' ? button.callbackId : null,
+    }));
+    fields.extraEmbeds = fields.extraEmbeds.map(extra => Object.fromEntries(EXTRA_EMBED_FIELDS.map(key => [key, extra[key] || null])));
+    if (raw.name === undefined) errors.push('has no name');
+    if (typeof fields.name === 'string') fields.name = fields.name.trim();
+    if (!fields.message && fields.pool.length === 0) errors.push('has no message');
+
+    for (const [key, value] of Object.entries(raw.appearance && typeof raw.appearance === 'object' ? raw.appearance : {})) {
+        if (!APPEARANCE_FIELDS[key]) errors.push(`appearance.${key} is not a known setting`);
+        else if (value !== null && !APPEARANCE_FIELDS[key](value)) errors.push(`appearance.${key} is not valid`);
+    }
+    fields.appearance = { ...StickyRecord.createDefaults().appearance, ...fields.appearance };
+
+    for (const [key, value] of Object.entries(raw.countFilters && typeof raw.countFilters === 'object' ? raw.countFilters : {})) {
+        if (!COUNT_FILTER_FIELDS[key]) errors.push(`countFilters.${key} is not a known setting`);
+        else if (!COUNT_FILTER_FIELDS[key](value)) errors.push(`countFilters.${key} is not valid`);
+    }
+    fields.countFilters = { ...StickyRecord.createDefaults().countFilters, ...fields.countFilters };
+
+    for (const window of fields.activeWindows) {
+        try {
+            StickySchedule.parseWindow(window);
+        } catch (e) {
+            errors.push(e.message);
+        }
+    }
+    if (fields.startsAt && fields.expiresAt && fields.expiresAt <= fields.startsAt) errors.push('expiresAt must be after startsAt');
+    return { channel, fields, errors };
+}
+
+/**
+ * Parses and validates an export file. JSON is read as YAML, which it is a
+ * subset of.
+ * @param {string} text - File content
+ * @returns {{ definitions: Object[], errors: string[] }} Definitions as { channel, fields }
+ */
+function parse(text) {
+    let data;
+    try {
+        data = yaml.load(text);
+    } catch (e) {
+        return { definitions: [], errors: [`The file is neither valid JSON nor YAML: ${e.message.split('\n')[0]}`] };
+    }
+    if (!data || typeof data !== 'object' || !Array.isArray(data.stickies)) {
+        return { definitions: [], errors: ['The file has no "stickies" list, is it a /sticky export?'] };
+    }
+    if (data.version !== EXPORT_VERSION) return { definitions: [], errors: [`Export version ${data.version} is not supported`] };
+
+    const definitions = [];
+    const errors = [];
+    data.stickies.forEach((raw, i) => {
+        const { channel, fields, errors: problems } = validateDefinition(raw);
+        const label = `Sticky ${i + 1}${fields.name ? ` ("${fields.name}")` : ''}`;
+        problems.forEach(problem => errors.push(`${label} ${problem}`));
+        if (problems.length === 0) definitions.push({ channel, fields });
+    });
+    return { definitions, errors };
+}
+
+/**
+ * Whether a channel can hold a sticky, as /sticky create allows it: stickies
+ * go to text channels and threads, thread templates to channels with threads.
+ * @param {Object} channel
+ * @param {boolean} threadTemplate - Whether the sticky is a thread template
+ * @returns {boolean}
+ */
+function canHold(channel, threadTemplate) {
+    if (threadTemplate) return !!channel.threads;
+    return channel.isTextBased() && !channel.isVoiceBased();
+}
+
+/**
+ * Finds the channel of the importing guild a definition belongs to: the same
+ * ID, else a text channel with the same name. Thread templates may also go to
+ * a forum channel.
+ * @param {Discord.Guild} guild
+ * @param {Object} ref - { id, name } from the export
+ * @param {boolean} [threadTemplate] - Whether the definition is a thread template
+ * @returns {{ channel: Object|null, error: string|null }}
+ */
+function resolveChannel(guild, ref, threadTemplate = false) {
+    const byId = ref.id ? guild.channels.cache.get(String(ref.id)) : null;
+    if (byId && canHold(byId, threadTemplate)) return { channel: byId, error: null };
+    if (byId) return { channel: null, error: `<#${byId.id}> can't hold ${threadTemplate ? 'thread templates' : 'sticky messages'}` };
+    if (!ref.name) return { channel: null, error: `there is no channel with the ID ${ref.id}` };
+
+    const named = [...guild.channels.cache.values()].filter(channel => channel.name === ref.name && canHold(channel, threadTemplate));
+    if (named.length === 1) return { channel: named[0], error: null };
+    return { channel: null, error: named.length === 0 ? `there is no channel named #${ref.name}` : `several channels are named #${ref.name}` };
+}
+
+/**
+ * A value as a string that is equal for equal settings, whatever the key order
+ * or storage-added `_id` keys.
+ * @param {*} value
+ * @returns {string}
+ */
+function comparable(value) {
+    if (value instanceof Date) return JSON.stringify(value.toISOString());
+    if (Array.isArray(value)) return `[${value.map(comparable).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).filter(key => key !== '_id').sort().map(key => `${key}:${comparable(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Works out what importing the definitions would do, without changing anything.
+ * @param {Discord.Guild} guild
+ * @param {Object[]} definitions - From parse()
+ * @param {Object[]} existing - StickyMessage records of the guild
+ * @returns {Object[]} Steps as { action: create|update|unchanged|skip, name, channel, fields, sticky, changes, reason }
+ */
+function plan(guild, definitions, existing) {
+    const seen = new Set();
+    return definitions.map(({ channel: ref, fields }) => {
+        const { channel, error } = resolveChannel(guild, ref, fields.threadTemplate);
+        const name = fields.name;
+        if (!channel) return { action: 'skip', name, channel: null, reason: error };
+        if (name.length > MAX_NAME_LENGTH) return { action: 'skip', name, channel, reason: `names can be at most ${MAX_NAME_LENGTH} characters` };
+
+        const key = `${channel.id}/${name}`;
+        if (seen.has(key)) return { action: 'skip', name, channel, reason: 'the file has it twice' };
+        seen.add(key);
+
+        const sticky = existing.find(rec => rec.channelId === channel.id && rec.name === name);
+        if (!sticky) return { action: 'create', name, channel, fields };
+        const changes = Object.keys(FIELDS).filter(field => comparable(sticky[field]) !== comparable(fields[field]));
+        return { action: changes.length > 0 ? 'update' : 'unchanged', name, channel, fields, sticky, changes };
+    });
+}
+
+/**
+ * Describes a plan as the lines of a dry-run diff.
+ * @param {Object[]} steps - From plan()
+ * @returns {string[]}
+ */
+function describePlan(steps) {
+    return steps.map(step => {
+        const where = step.channel ? `<#${step.channel.id}>` : 'no channel';
+        switch (step.action) {
+            case 'create': return `+ **${step.name}** in ${where} will be created`;
+            case 'update': return `~ **${step.name}** in ${where} will change: ${step.changes.join(', ')}`;
+            case 'unchanged': return `= **${step.name}** in ${where} is already up to date`;
+            default: return `✗ **${step.name}** is skipped: ${step.reason}`;
+        }
+    });
+}
+
+module.exports = {
+    FIELDS,
+    comparable,
+    exportStickies,
+    parse,
+    plan,
+    describePlan,
+};
@@ -0,0 +1,235 @@
+const Discord = require("discord.js");
+const yaml = require("js-yaml");
+const fs = require("fs");
+const config = yaml.load(fs.readFileSync("./addons/StickyMessages/config.yml", "utf8"));
+const StickyStore = require("./StickyStore");
+
+/**
+ * The webhooks stickies post through. Every channel gets at most one webhook
+ * owned by the addon, shared by all its stickies and those of its threads;
+ * the name and avatar of a single sticky are applied per message. The webhook
+ * is created when the first sticky needs it and deleted again once no sticky
+ * uses it anymore.
+ *
+ * Failures are kept per channel in memory, logged, and shown in /sticky list.
+ */
+
+// Discord allows this many webhooks per channel
+const WEBHOOK_LIMIT = 15;
+
+// home channel id -> reason the webhook of that channel is failing
+const failures = new Map();
+// home channel id -> tail of the webhook operation running there
+const locks = new Map();
+
+/**
+ * Runs webhook operations of one channel one after the other, so two stickies
+ * created at once don't each create a webhook.
+ * @param {string} channelId
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>}
+ */
+function exclusive(channelId, task) {
+    const run = (locks.get(channelId) || Promise.resolve()).then(task);
+    const tail = run.catch(() => {});
+    locks.set(channelId, tail);
+    tail.then(() => {
+        if (locks.get(channelId) === tail) locks.delete(channelId);
+    });
+    return run;
+}
+
+/**
+ * The channel that owns the webhooks of a channel: threads post through the
+ * webhook of their parent.
+ * @param {Discord.TextBasedChannel} channel
+ * @returns {Discord.TextChannel|null}
+ */
+function homeOf(channel) {
+    return channel.isThread() ? channel.parent : channel;
+}
+
+/**
+ * The identity a new channel webhook gets, from the Webhooks section of config.yml.
+ * @returns {{ name: string, avatar: string|undefined }}
+ */
+function defaultIdentity() {
+    const settings = config.Webhooks || {};
+    return { name: settings.Name || 'Sticky', avatar: settings.AvatarURL || undefined };
+}
+
+/**
+ * Turns a Discord error into a message a moderator can act on.
+ * @param {Error} e
+ * @param {Discord.TextChannel} channel
+ * @returns {string}
+ */
+function describeError(e, channel) {
+    const codes = Discord.RESTJSONErrorCodes;
+    if (e.code === codes.MissingPermissions || e.code === codes.MissingAccess) return `I need the Manage Webhooks permission in #${channel.name}`;
+    if (e.code === codes.MaximumNumberOfWebhooksReached) return `#${channel.name} already has ${WEBHOOK_LIMIT} webhooks, the most Discord allows`;
+    return e.message;
+}
+
+/**
+ * Remembers that the webhook of a channel failed and logs it.
+ * @param {string} channelId - The home channel
+ * @param {string} reason
+ */
+function reportFailure(channelId, reason) {
+    if (failures.get(channelId) !== reason) console.warn(`[StickyMessages] Webhook of channel ${channelId} failed, posting as the bot: ${reason}`);
+    failures.set(channelId, reason);
+}
+
+/**
+ * Clears the failure of a channel once its webhook worked again.
+ * @param {string} channelId - The home channel
+ */
+function reportSuccess(channelId) {
+    failures.delete(channelId);
+}
+
+/**
+ * Whether a webhook was created by the bot, so the addon can post through it.
+ * @param {Discord.Webhook} hook
+ * @returns {boolean}
+ */
+function isBotWebhook(hook) {
+    return !!hook.token && !!hook.owner && hook.owner.id === hook.client.user.id;
+}
+
+/**
+ * Whether a webhook of the channel is one of the addon's. Only the IDs stored
+ * on sticky records tell: other addons or members may create webhooks through
+ * the bot with the very same name.
+ * @param {Discord.Webhook} hook
+ * @param {Set<string>} knownIds - Webhook IDs stored on sticky records
+ * @returns {boolean}
+ */
+function isOwned(hook, knownIds) {
+    return isBotWebhook(hook) && knownIds.has(hook.id);
+}
+
+/**
+ * Finds the addon's webhook of a channel, creating it when there is none.
+ * @param {Discord.TextBasedChannel} channel - Channel or thread a sticky posts in
+ * @returns {Promise<{ webhook: { webhookId: string, webhookToken: string }|null, error: string|null }>}
+ *   Credentials for the record, or a readable error
+ */
+async function acquire(channel) {
+    const home = homeOf(channel);
+    if (!home) return { webhook: null, error: "I can't find the parent channel of this thread" };
+
+    return exclusive(home.id, async () => {
+        try {
+            const knownIds = new Set((await StickyStore.find({ guildId: home.guild.id })).map(sticky => sticky.webhookId).filter(Boolean));
+            const hooks = await home.fetchWebhooks();
+            let hook = [...hooks.values()].find(candidate => isOwned(candidate, knownIds));
+            if (!hook) {
+                if (hooks.size >= WEBHOOK_LIMIT) {
+                    const reason = `#${home.name} already has ${hooks.size} webhooks, the most Discord allows`;
+                    reportFailure(home.id, reason);
+                    return { webhook: null, error: `${reason}, delete one in the channel settings to use a webhook.` };
+                }
+                hook = await home.createWebhook({ ...defaultIdentity(), reason: 'Sticky messages' });
+                console.log(`[StickyMessages] Created the sticky webhook of channel ${home.id}`);
+            }
+            reportSuccess(home.id);
+            return { webhook: { webhookId: hook.id, webhookToken: hook.token }, error: null };
+        } catch (e) {
+            const reason = describeError(e, home);
+            reportFailure(home.id, reason);
+            return { webhook: null, error: `I couldn't set up a webhook: ${reason}.` };
+        }
+    });
+}
+
+/**
+ * Deletes a webhook of a channel once no sticky posts through it anymore, and
+ * clears it from records that merely kept it while their webhook was off.
+ * Thread copies don't count, they follow their template.
+ * @param {Discord.TextBasedChannel} channel - Channel or thread of the sticky that let go of it
+ * @param {Object} sticky - The record as it was, with the webhook credentials it held
+ * @returns {Promise<boolean>} Whether the webhook was deleted
+ */
+async function release(channel, { webhookId, webhookToken }) {
+    const home = homeOf(channel);
+    if (!webhookId || !home) return false;
+
+    return exclusive(home.id, async () => {
+        const holders = (await StickyStore.find({ webhookId })).filter(sticky => !sticky.templateId);
+        if (holders.some(sticky => sticky.useWebhook)) return false;
+        for (const sticky of holders) await StickyStore.update(sticky._id, { webhookId: null, webhookToken: null });
+        try {
+            await channel.client.deleteWebhook(webhookId, { token: webhookToken || undefined, reason: 'No sticky uses it anymore' });
+            console.log(`[StickyMessages] Deleted the unused sticky webhook of channel ${home.id}`);
+        } catch (e) {
+            if (e.code !== Discord.RESTJSONErrorCodes.UnknownWebhook) {
+                console.warn(`[StickyMessages] Failed to delete the unused webhook ${webhookId} of channel ${home.id}: ${describeError(e, home)}`);
+                return false;
+            }
+        }
+        failures.delete(home.id);
+        return true;
+    });
+}
+
+/**
+ * Moves every webhook sticky of a channel onto the channel's one webhook,
+ * creating it when it's missing, and deletes the webhooks these stickies
+ * used before, left over from one-webhook-per-sticky versions. Webhooks no
+ * record knows of are never touched.
+ * @param {Discord.TextChannel} home - A channel that can own webhooks
+ * @param {Object[]} stickies - Webhook stickies posting in it or its threads, without thread copies
+ * @returns {Promise<{ moved: Object[], deleted: number, error: string|null }>}
+ *   The records that got new credentials and the number of webhooks deleted
+ */
+async function consolidate(home, stickies) {
+    const { webhook, error } = await acquire(home);
+    if (!webhook) return { moved: [], deleted: 0, error };
+
+    const moved = stickies.filter(sticky => sticky.webhookId !== webhook.webhookId || sticky.webhookToken !== webhook.webhookToken);
+    for (const sticky of moved) await StickyStore.update(sticky._id, webhook);
+
+    const deleted = await exclusive(home.id, async () => {
+        const knownIds = new Set((await StickyStore.find({ guildId: home.guild.id })).map(sticky => sticky.webhookId).filter(Boolean));
+        const retired = new Set(moved.map(sticky => sticky.webhookId).filter(id => id && !knownIds.has(id)));
+        const hooks = await home.fetchWebhooks();
+        let count = 0;
+        for (const hook of hooks.values()) {
+            if (!retired.has(hook.id) || !isBotWebhook(hook)) continue;
+            await hook.delete('Replaced by the shared sticky webhook of the channel')
+                .then(() => { count += 1; })
+                .catch(e => console.warn(`[StickyMessages] Failed to delete the old webhook ${hook.id} of channel ${home.id}: ${describeError(e, home)}`));
+        }
+        return count;
+    }).catch(e => {
+        console.warn(`[StickyMessages] Failed to clean up the old webhooks of channel ${home.id}: ${describeError(e, home)}`);
+        return 0;
+    });
+    return { moved, deleted, error: null };
+}
+
+/**
+ * What is wrong with the webhook of a sticky, for /sticky list.
+ * @param {Object} sticky - StickyMessage record
+ * @param {Discord.TextBasedChannel|null} channel - Its channel, when known
+ * @returns {string|null} null when it uses no webhook or the webhook works
+ */
+function problemOf(sticky, channel) {
+    if (!sticky.useWebhook) return null;
+    const homeId = channel && channel.isThread() ? channel.parentId : sticky.channelId;
+    const failure = failures.get(homeId);
+    if (failure) return failure;
+    return sticky.webhookId ? null : 'no webhook yet, posting as the bot';
+}
+
+module.exports = {
+    WEBHOOK_LIMIT,
+    acquire,
+    release,
+    consolidate,
+    reportFailure,
+    reportSuccess,
+    problemOf,
+};
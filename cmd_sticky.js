@@ -2,164 +2,1715 @@ const { SlashCommandBuilder } = require('@discordjs/builders');
 const Discord = require("discord.js");
 const fs = require('fs');
 const yaml = require("js-yaml");
-const StickyMessage = require('./StickyModel');
+const StickyStore = require('./StickyStore');
+const StickyService = require('./StickyService');
+const StickySchedule = require('./StickySchedule');
+const StickyCache = require('./StickyCache');
+const StickyQueue = require('./StickyQueue');
+const StickySettings = require('./StickySettings');
+const StickyPermissions = require('./StickyPermissions');
+const StickyAudit = require('./StickyAudit');
+const StickySlowmode = require('./StickySlowmode');
+const StickyListView = require('./StickyListView');
+const StickyTransfer = require('./StickyTransfer');
+const StickyBuilder = require('./StickyBuilder');
+const StickyButtons = require('./StickyButtons');
+const StickyAttachments = require('./StickyAttachments');
+const StickyThreads = require('./StickyThreads');
+const StickyWebhooks = require('./StickyWebhooks');
+const StickyFilters = require('./StickyFilters');
+const StickyRecord = require('./StickyRecord');
 const config = yaml.load(fs.readFileSync('./addons/StickyMessages/config.yml', 'utf8'));
 
+const MAX_POOL_SIZE = 50;
+// A message holds 10 embeds, the sticky's own one included
+const MAX_EXTRA_EMBEDS = 9;
+// The list and import buttons stop working after this long without a click
+const COMPONENT_IDLE_MS = 5 * 60 * 1000;
+// Largest /sticky import file accepted
+const MAX_IMPORT_BYTES = 1024 * 1024;
+// Actions /sticky permissions can set a rule for: "Default", the subcommands and "webhook"
+const PERMISSION_ACTIONS = ['Default', 'create', 'edit', 'preview', 'delete', 'list', 'history', 'pause', 'resume', 'slowmode', 'filters', 'pool', 'button', 'embed', 'attachment', 'settings', 'permissions', 'export', 'import', 'webhook'];
+
+/**
+ * Adds the per-sticky embed appearance options shared by create and edit.
+ */
+function addAppearanceOptions(subcommand) {
+  return subcommand
+    .addStringOption(option => option.setName('title').setDescription('Embed title, "none" for the config default').setMaxLength(256).setRequired(false))
+    .addStringOption(option => option.setName('color').setDescription('Embed color as hex, e.g. #ff0000').setRequired(false))
+    .addStringOption(option => option.setName('image').setDescription('Embed image URL').setRequired(false))
+    .addStringOption(option => option.setName('thumbnail').setDescription('Embed thumbnail URL').setRequired(false))
+    .addStringOption(option => option.setName('footer').setDescription('Embed footer text').setMaxLength(2048).setRequired(false))
+    .addStringOption(option => option.setName('footer_icon').setDescription('Embed footer icon URL').setRequired(false))
+    .addBooleanOption(option => option.setName('timestamp').setDescription('Show a timestamp on the embed').setRequired(false))
+    .addStringOption(option => option.setName('author').setDescription('Embed author as "Name" or "Name|IconURL"').setRequired(false))
+    .addStringOption(option => option.setName('fields').setDescription('Embed fields as "Name|Value;Name|Value|inline"').setRequired(false));
+}
+
+/**
+ * Adds the webhook identity options shared by create and edit.
+ */
+function addIdentityOptions(subcommand) {
+  return subcommand
+    .addStringOption(option => option.setName('webhook_name').setDescription('Webhook display name, "none" to reset').setMaxLength(80).setRequired(false))
+    .addStringOption(option => option.setName('webhook_avatar').setDescription('Webhook avatar URL, "none" to reset').setRequired(false))
+    .addAttachmentOption(option => option.setName('webhook_avatar_file').setDescription('Webhook avatar image').setRequired(false));
+}
+
+/**
+ * Reads the webhook identity options of create/edit. A value of "none" goes
+ * back to the name or avatar of the channel webhook.
+ * @returns {{ identity: Object, error: string|null }} Only the options that were passed
+ */
+function readIdentity(interaction) {
+  const identity = {};
+  const isNone = value => value.trim().toLowerCase() === 'none';
+
+  const name = interaction.options.getString('webhook_name');
+  if (name !== null) {
+    if (isNone(name)) identity.webhookName = null;
+    // Discord refuses these in webhook names
+    else if (/discord|clyde/i.test(name)) return { identity, error: `Webhook names can't contain "discord" or "clyde"` };
+    else if (name.trim()) identity.webhookName = name.trim();
+    else return { identity, error: `The webhook name can't be empty` };
+  }
+
+  const avatar = interaction.options.getString('webhook_avatar');
+  const avatarFile = interaction.options.getAttachment('webhook_avatar_file');
+  if (avatar !== null && avatarFile) return { identity, error: `Pass either webhook_avatar or webhook_avatar_file, not both` };
+  if (avatarFile) {
+    if (!(avatarFile.contentType || '').startsWith('image/')) return { identity, error: `The webhook avatar must be an image` };
+    identity.webhookAvatarURL = avatarFile.url;
+  } else if (avatar !== null) {
+    if (isNone(avatar)) identity.webhookAvatarURL = null;
+    else if (/^https?:\/\/\S+$/i.test(avatar.trim())) identity.webhookAvatarURL = avatar.trim();
+    else return { identity, error: `The webhook_avatar option must be an http(s) URL` };
+  }
+  return { identity, error: null };
+}
+
+/**
+ * Reads the appearance options of create/edit. A value of "none" clears the
+ * override so the config.yml default applies again.
+ * @returns {{ appearance: Object, error: string|null }} Only the options that were passed
+ */
+function readAppearance(interaction) {
+  const appearance = {};
+  const isNone = value => value.trim().toLowerCase() === 'none';
+  const isURL = value => /^https?:\/\/\S+$/i.test(value.trim());
+
+  for (const [option, key] of [['title', 'title'], ['footer', 'footerText']]) {
+    const value = interaction.options.getString(option);
+    if (value !== null) appearance[key] = isNone(value) ? null : value.replace(/\\n/g, '\n');
+  }
+
+  const color = interaction.options.getString('color');
+  if (color !== null) {
+    if (isNone(color)) appearance.color = null;
+    else if (/^#?[0-9a-f]{6}$/i.test(color.trim())) appearance.color = `#${color.trim().replace('#', '')}`;
+    else return { appearance, error: `"${color}" is not a valid hex color, use something like #ff0000` };
+  }
+
+  for (const [option, key] of [['image', 'image'], ['thumbnail', 'thumbnail'], ['footer_icon', 'footerIconURL']]) {
+    const value = interaction.options.getString(option);
+    if (value === null) continue;
+    if (isNone(value)) appearance[key] = null;
+    else if (isURL(value)) appearance[key] = value.trim();
+    else return { appearance, error: `The ${option} option must be an http(s) URL` };
+  }
+
+  const timestamp = interaction.options.getBoolean('timestamp');
+  if (timestamp !== null) appearance.timestamp = timestamp;
+
+  const author = interaction.options.getString('author');
+  if (author !== null) {
+    const [authorName, authorIconURL] = author.split('|').map(part => part.trim());
+    if (isNone(author)) {
+      appearance.authorName = null;
+      appearance.authorIconURL = null;
+    } else if (authorIconURL && !isURL(authorIconURL)) {
+      return { appearance, error: `The author icon must be an http(s) URL` };
+    } else {
+      appearance.authorName = authorName.slice(0, 256);
+      appearance.authorIconURL = authorIconURL || null;
+    }
+  }
+
+  const fields = interaction.options.getString('fields');
+  if (fields !== null) {
+    appearance.fields = [];
+    if (!isNone(fields)) {
+      for (const entry of fields.split(';').filter(part => part.trim())) {
+        const [name, value, inline] = entry.split('|').map(part => part.trim());
+        if (!name || !value) return { appearance, error: `Every field needs a name and a value: "Name|Value"` };
+        appearance.fields.push({ name: name.slice(0, 256), value: value.replace(/\\n/g, '\n').slice(0, 1024), inline: inline === 'inline' });
+      }
+      if (appearance.fields.length > 25) return { appearance, error: `An embed can have at most 25 fields` };
+    }
+  }
+
+  return { appearance, error: null };
+}
+
+/**
+ * Adds the repost trigger options shared by create and edit.
+ */
+function addTriggerOptions(subcommand) {
+  return subcommand
+    .addStringOption(option =>
+      option
+        .setName('repost')
+        .setDescription('When the sticky is reposted (default from config)')
+        .addChoices(
+          { name: 'After a number of messages', value: 'messages' },
+          { name: 'After some minutes of activity', value: 'time' },
+          { name: 'Messages or minutes, whichever comes first', value: 'either' },
+          { name: 'Once the channel is silent', value: 'idle' },
+        )
+        .setRequired(false))
+    .addIntegerOption(option => option.setName('repost_messages').setDescription('Messages before a repost').setMinValue(1).setRequired(false))
+    .addIntegerOption(option => option.setName('repost_minutes').setDescription('Minutes since the last post before a repost').setMinValue(1).setRequired(false))
+    .addIntegerOption(option => option.setName('idle_seconds').setDescription('Seconds of silence before an idle repost').setMinValue(5).setRequired(false));
+}
+
+/**
+ * Reads the repost trigger options of create/edit.
+ * @returns {Object} Only the options that were passed, keyed by StickyMessage field
+ */
+function readTrigger(interaction) {
+  const trigger = {};
+  const repostMode = interaction.options.getString('repost');
+  if (repostMode !== null) trigger.repostMode = repostMode;
+  for (const [option, key] of [['repost_messages', 'maxMessages'], ['repost_minutes', 'repostMinutes'], ['idle_seconds', 'idleSeconds']]) {
+    const value = interaction.options.getInteger(option);
+    if (value !== null) trigger[key] = value;
+  }
+  return trigger;
+}
+
+/**
+ * Adds the schedule options shared by create and edit.
+ */
+function addScheduleOptions(subcommand) {
+  return subcommand
+    .addStringOption(option => option.setName('starts_at').setDescription('Show from this ISO date, e.g. 2026-05-01T18:00:00Z').setRequired(false))
+    .addStringOption(option => option.setName('expires_at').setDescription('Remove at this ISO date, e.g. 2026-05-03T23:59:00Z').setRequired(false))
+    .addStringOption(option => option.setName('window').setDescription('Recurring windows, e.g. "mon-fri 09:00-17:00"').setRequired(false));
+}
+
+/**
+ * Reads the schedule options of create/edit. "none" clears a value.
+ * @returns {{ schedule: Object, error: string|null }} Only the options that were passed
+ */
+function readSchedule(interaction) {
+  const schedule = {};
+  for (const [option, key] of [['starts_at', 'startsAt'], ['expires_at', 'expiresAt']]) {
+    const value = interaction.options.getString(option);
+    if (value === null) continue;
+    if (value.trim().toLowerCase() === 'none') {
+      schedule[key] = null;
+      continue;
+    }
+    const date = new Date(value.trim());
+    if (isNaN(date.getTime())) return { schedule, error: `"${value}" is not a valid date, use ISO format like 2026-05-01T18:00:00Z` };
+    schedule[key] = date;
+  }
+  if (schedule.startsAt && schedule.expiresAt && schedule.expiresAt <= schedule.startsAt)
+    return { schedule, error: `expires_at must be after starts_at` };
+
+  const window = interaction.options.getString('window');
+  if (window !== null) {
+    try {
+      schedule.activeWindows = window.trim().toLowerCase() === 'none' ? [] : StickySchedule.parseWindows(window);
+    } catch (e) {
+      return { schedule, error: e.message };
+    }
+  }
+  return { schedule, error: null };
+}
+
+/**
+ * Loads the stickies of the channel a command is used in. Inside a thread the
+ * thread templates of its parent channel come along, so a forum's templates
+ * can be managed from any of its posts.
+ * @returns {Promise<Object[]>}
+ */
+async function channelStickies(interaction) {
+  const stickies = await StickyStore.find({ guildId: interaction.guild.id, channelId: interaction.channel.id });
+  if (!interaction.channel.isThread()) return stickies;
+  const templates = await StickyStore.find({ guildId: interaction.guild.id, channelId: interaction.channel.parentId, threadTemplate: true });
+  return [...stickies, ...templates];
+}
+
+/**
+ * Whether commands can pick a sticky. Copies of a thread template follow their
+ * template and are changed through it.
+ */
+function isTarget(sticky) {
+  return !sticky.templateId;
+}
+
+/**
+ * Picks the sticky a subcommand targets from the `name` option. Without a
+ * name, the channel's only sticky is used.
+ * @returns {{ sticky: Object|null, error: string|null }}
+ */
+function resolveSticky(interaction, stickies) {
+  const targets = stickies.filter(isTarget);
+  if (targets.length === 0) return { sticky: null, error: `There is no sticky message in this channel!` };
+
+  const name = interaction.options.getString('name');
+  if (name) {
+    const sticky = targets.find(s => s.name === name);
+    return sticky ? { sticky, error: null } : { sticky: null, error: `There is no sticky message named "${name}" in this channel!` };
+  }
+  if (targets.length === 1) return { sticky: targets[0], error: null };
+  return {
+    sticky: null,
+    error: `This channel has several sticky messages (${targets.map(s => s.name).join(', ')}), pick one with the name option!`,
+  };
+}
+
+/**
+ * Rejects a sticky Discord couldn't post, see StickyService.sizeProblem. In
+ * combined mode it is also measured with the live stickies it shares the
+ * channel's message with.
+ * @param {Object} sticky - The record as it would be saved
+ * @param {Object[]} stickies - Records of the channel, see channelStickies()
+ * @returns {string|null} The error, or null when it fits
+ */
+function sizeError(sticky, stickies) {
+  const alone = StickyService.sizeProblem([sticky]);
+  if (alone) return `The sticky message "${sticky.name}" can't be posted, ${alone}!`;
+  if (sticky.threadTemplate || StickyService.settingsOf(sticky).MultiStickyMode !== 'combined') return null;
+  const others = stickies.filter(other => String(other._id) !== String(sticky._id) && !other.threadTemplate && StickyService.isLive(other));
+  if (others.length === 0) return null;
+  const problem = StickyService.sizeProblem(StickyService.sortStickies([sticky, ...others]));
+  return problem ? `The sticky message "${sticky.name}" doesn't fit in the combined message of this channel, ${problem}!` : null;
+}
+
+/**
+ * Brings the thread copies of templates up to date after a command changed
+ * stickies of this server.
+ */
+function syncThreadCopies(interaction) {
+  return StickyThreads.syncCopies(interaction.client, interaction.guild.id)
+    .catch(e => console.error('[StickyMessages] Failed to update the thread copies of templates:', e));
+}
+
+/**
+ * Answers a command, through editReply once its reply was deferred. Deferred
+ * replies keep whether they are ephemeral from deferReply.
+ */
+function answer(interaction, payload) {
+  if (!interaction.deferred) return interaction.reply(payload);
+  const { ephemeral, ...edit } = payload;
+  return interaction.editReply(edit);
+}
+
+/**
+ * Handles /sticky pool add|remove|list|mode, which manage the rotating
+ * content of a sticky.
+ */
+async function handlePool(interaction, subCmd) {
+  const stickies = await channelStickies(interaction);
+  const { sticky, error } = resolveSticky(interaction, stickies);
+  if (!sticky) return answer(interaction, { content: error, ephemeral: true });
+
+  const pool = [...sticky.pool];
+  let poolIndex = pool.length > 0 ? sticky.poolIndex % pool.length : 0;
+
+  if (subCmd === 'list') {
+    if (pool.length === 0)
+      return answer(interaction, { content: `The sticky message "${sticky.name}" has no pool, it always shows its own message.`, ephemeral: true });
+
+    const lines = pool.map((entry, i) => {
+      const preview = entry.replace(/\s+/g, ' ');
+      return `${i === poolIndex ? '▶' : '•'} **${i + 1}.** ${preview.length > 100 ? `${preview.slice(0, 97)}...` : preview}`;
+    });
+    const embed = new Discord.EmbedBuilder()
+      .setTitle(`Pool of "${sticky.name}"`)
+      .setColor('Green')
+      .setDescription(lines.join('\n').slice(0, 4096))
+      .setFooter({ text: `${sticky.poolMode === 'random' ? 'Random' : 'Sequential'} rotation • ▶ is shown now` });
+    return answer(interaction, { embeds: [embed], ephemeral: true });
+  }
+
+  if (subCmd === 'mode') {
+    const poolMode = interaction.options.getString('mode');
+    const updated = await StickyStore.update(sticky._id, { poolMode });
+    await StickyCache.refresh(interaction.channel.id);
+    await StickyAudit.record(interaction.client, { action: 'pool', sticky: updated, actor: interaction.user, changes: [`poolMode: ${poolMode}`] });
+    // The mode only picks the entry of the next repost, the posted one stays as it is
+    return answer(interaction, { content: `The sticky message "${sticky.name}" rotates its pool in ${poolMode} order from its next repost on!`, ephemeral: true });
+  }
+
+  let result;
+  let audit;
+  if (subCmd === 'add') {
+    if (pool.length >= MAX_POOL_SIZE)
+      return answer(interaction, { content: `A pool can hold at most ${MAX_POOL_SIZE} messages!`, ephemeral: true });
+
+    const msg = interaction.options.getString('msg').replace(/\\n/g, '\n');
+    const position = interaction.options.getInteger('position');
+    const at = position === null ? pool.length : Math.min(position - 1, pool.length);
+    pool.splice(at, 0, msg);
+    const tooLarge = sizeError({ ...sticky, pool }, stickies);
+    if (tooLarge) return answer(interaction, { content: tooLarge, ephemeral: true });
+    if (pool.length > 1 && at <= poolIndex) poolIndex++;
+    result = `Added message #${at + 1} to the pool of "${sticky.name}"!`;
+    audit = { after: msg, changes: [`added pool message #${at + 1}`] };
+  } else if (subCmd === 'remove') {
+    const position = interaction.options.getInteger('position');
+    if (position > pool.length)
+      return answer(interaction, { content: `The pool of "${sticky.name}" has no message #${position}!`, ephemeral: true });
+
+    const [removed] = pool.splice(position - 1, 1);
+    if (position - 1 < poolIndex) poolIndex--;
+    poolIndex = pool.length > 0 ? poolIndex % pool.length : 0;
+    result = `Removed message #${position} from the pool of "${sticky.name}"!`;
+    audit = { before: removed, changes: [`removed pool message #${position}`] };
+  }
+
+  const updated = await StickyStore.update(sticky._id, { pool, poolIndex });
+  // Keep the posted message in sync when the entry it shows was added or removed
+  await StickyService.updatePosted(interaction.channel, stickies.map(s => (s._id === updated._id ? updated : s)), updated);
+  await StickyCache.refresh(interaction.channel.id);
+  await StickyAudit.record(interaction.client, { action: 'pool', sticky: updated, actor: interaction.user, ...audit });
+
+  await answer(interaction, { content: result, ephemeral: true });
+}
+
+/**
+ * Whether a member could give a role themselves. A role button hands the role
+ * out to anyone, so only such members may set one up.
+ */
+function canGiveRole(member, role) {
+  return member.guild.ownerId === member.id
+    || (member.permissions.has(Discord.PermissionFlagsBits.ManageRoles) && role.position < member.roles.highest.position);
+}
+
+/**
+ * Handles /sticky button add|remove|list, the buttons shown under a sticky.
+ */
+async function handleButton(interaction, subCmd) {
+  const stickies = await channelStickies(interaction);
+  const { sticky, error } = resolveSticky(interaction, stickies);
+  if (!sticky) return answer(interaction, { content: error, ephemeral: true });
+  const buttons = [...sticky.buttons];
+  const describe = button => {
+    if (button.type === 'link') return `link to ${button.url}`;
+    if (button.type === 'role') return `toggles <@&${button.roleId}>`;
+    return `callback \`${button.callbackId}\``;
+  };
+
+  if (subCmd === 'list') {
+    if (buttons.length === 0) return answer(interaction, { content: `The sticky message "${sticky.name}" has no buttons.`, ephemeral: true });
+    const embed = new Discord.EmbedBuilder()
+      .setTitle(`Buttons of "${sticky.name}"`)
+      .setColor('Green')
+      .setDescription(buttons.map((button, i) => `**${i + 1}.** [row ${button.row}] ${button.emoji ? `${button.emoji} ` : ''}${button.label} - ${describe(button)}`).join('\n').slice(0, 4096));
+    return answer(interaction, { embeds: [embed], ephemeral: true });
+  }
+
+  let result;
+  let change;
+  if (subCmd === 'add') {
+    const url = interaction.options.getString('url');
+    const role = interaction.options.getRole('role');
+    const callbackId = interaction.options.getString('callback');
+    if ([url, role, callbackId].filter(value => value !== null).length !== 1)
+      return answer(interaction, { content: `Pass exactly one of url, role or callback to say what the button does!`, ephemeral: true });
+    const row = interaction.options.getInteger('row') || 1;
+    if (buttons.length >= StickyButtons.MAX_ROWS * StickyButtons.MAX_PER_ROW || buttons.filter(button => button.row === row).length >= StickyButtons.MAX_PER_ROW)
+      return answer(interaction, { content: `Row ${row} is full, a sticky can have ${StickyButtons.MAX_PER_ROW} buttons per row in ${StickyButtons.MAX_ROWS} rows!`, ephemeral: true });
+
+    const button = {
+      type: url !== null ? 'link' : (role ? 'role' : 'callback'),
+      label: interaction.options.getString('label'),
+      style: interaction.options.getString('style'),
+      emoji: interaction.options.getString('emoji'),
+      row,
+      url: null,
+      roleId: null,
+      callbackId: null,
+    };
+    if (url !== null) {
+      if (!/^https?:\/\/\S+$/i.test(url.trim())) return answer(interaction, { content: `The url must be an http(s) URL`, ephemeral: true });
+      button.url = url.trim();
+    } else if (role) {
+      if (role.managed || role.id === interaction.guild.id)
+        return answer(interaction, { content: `The ${role.name} role can't be given by a button!`, ephemeral: true });
+      if (!canGiveRole(interaction.member, role)) return answer(interaction, { content: `You can only add buttons for roles you could give yourself!`, ephemeral: true });
+      button.roleId = role.id;
+    } else {
+      if (!/^[\w-]+$/.test(callbackId)) return answer(interaction, { content: `A callback ID may only use letters, digits, - and _`, ephemeral: true });
+      button.callbackId = callbackId;
+    }
+    const customId = StickyButtons.customIdOf(button);
+    if (customId && buttons.some(other => StickyButtons.customIdOf(other) === customId))
+      return answer(interaction, { content: `The sticky message "${sticky.name}" already has a button that does this!`, ephemeral: true });
+
+    buttons.push(button);
+    buttons.sort((a, b) => a.row - b.row);
+    result = `Added the button "${button.label}" to "${sticky.name}"!`;
+    change = `added button "${button.label}" (${describe(button)})`;
+  } else if (subCmd === 'remove') {
+    const position = interaction.options.getInteger('position');
+    if (position > buttons.length)
+      return answer(interaction, { content: `The sticky message "${sticky.name}" has no button #${position}!`, ephemeral: true });
+    const [removed] = buttons.splice(position - 1, 1);
+    result = `Removed the button "${removed.label}" from "${sticky.name}"!`;
+    change = `removed button "${removed.label}"`;
+  }
+
+  const updated = await StickyStore.update(sticky._id, { buttons });
+  await StickyService.updatePosted(interaction.channel, stickies.map(s => (s._id === updated._id ? updated : s)), updated);
+  await StickyCache.refresh(interaction.channel.id);
+  await StickyAudit.record(interaction.client, { action: 'edit', sticky: updated, actor: interaction.user, changes: [change] });
+
+  await answer(interaction, { content: result, ephemeral: true });
+}
+
+/**
+ * Handles /sticky embed add|remove|list, the embeds posted after a sticky's
+ * own one.
+ */
+async function handleEmbed(interaction, subCmd) {
+  const stickies = await channelStickies(interaction);
+  const { sticky, error } = resolveSticky(interaction, stickies);
+  if (!sticky) return answer(interaction, { content: error, ephemeral: true });
+  const extraEmbeds = [...sticky.extraEmbeds];
+  const preview = extra => {
+    const text = (extra.title || extra.description || '').replace(/\s+/g, ' ');
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+  };
+
+  if (subCmd === 'list') {
+    if (extraEmbeds.length === 0) return answer(interaction, { content: `The sticky message "${sticky.name}" has no extra embeds.`, ephemeral: true });
+    const embed = new Discord.EmbedBuilder()
+      .setTitle(`Extra embeds of "${sticky.name}"`)
+      .setColor('Green')
+      .setDescription(extraEmbeds.map((extra, i) => `**${i + 1}.** ${preview(extra)}`).join('\n'));
+    return answer(interaction, { embeds: [embed], ephemeral: true });
+  }
+
+  let result;
+  let change;
+  if (subCmd === 'add') {
+    if (extraEmbeds.length >= MAX_EXTRA_EMBEDS)
+      return answer(interaction, { content: `A sticky can have at most ${MAX_EXTRA_EMBEDS} extra embeds!`, ephemeral: true });
+    const { appearance, error: appearanceError } = readAppearance(interaction);
+    if (appearanceError) return answer(interaction, { content: appearanceError, ephemeral: true });
+    const extra = {
+      title: appearance.title || null,
+      description: interaction.options.getString('description').replace(/\\n/g, '\n'),
+      color: appearance.color || null,
+      image: appearance.image || null,
+      thumbnail: appearance.thumbnail || null,
+      footerText: appearance.footerText || null,
+    };
+    extraEmbeds.push(extra);
+    const tooLarge = sizeError({ ...sticky, extraEmbeds }, stickies);
+    if (tooLarge) return answer(interaction, { content: tooLarge, ephemeral: true });
+    result = `Added embed #${extraEmbeds.length} to "${sticky.name}"!`;
+    change = `added extra embed #${extraEmbeds.length}`;
+  } else if (subCmd === 'remove') {
+    const position = interaction.options.getInteger('position');
+    if (position > extraEmbeds.length)
+      return answer(interaction, { content: `The sticky message "${sticky.name}" has no extra embed #${position}!`, ephemeral: true });
+    extraEmbeds.splice(position - 1, 1);
+    result = `Removed embed #${position} from "${sticky.name}"!`;
+    change = `removed extra embed #${position}`;
+  }
+
+  const updated = await StickyStore.update(sticky._id, { extraEmbeds });
+  await StickyService.updatePosted(interaction.channel, stickies.map(s => (s._id === updated._id ? updated : s)), updated);
+  await StickyCache.refresh(interaction.channel.id);
+  await StickyAudit.record(interaction.client, { action: 'edit', sticky: updated, actor: interaction.user, changes: [change] });
+
+  await answer(interaction, { content: result, ephemeral: true });
+}
+
+/**
+ * Handles /sticky attachment add|remove|list, the files posted with a sticky.
+ * Files can't be swapped on a posted message, so changes repost the channel.
+ */
+async function handleAttachment(interaction, subCmd) {
+  const stickies = await channelStickies(interaction);
+  const { sticky, error } = resolveSticky(interaction, stickies);
+  if (!sticky) return answer(interaction, { content: error, ephemeral: true });
+  const attachments = [...sticky.attachments];
+
+  if (subCmd === 'list') {
+    if (attachments.length === 0) return answer(interaction, { content: `The sticky message "${sticky.name}" has no attachments.`, ephemeral: true });
+    const lines = attachments.map((entry, i) => `**${i + 1}.** ${entry.name} (${Math.ceil(entry.size / 1024)} KB${entry.path ? '' : ', from Discord'})`);
+    return answer(interaction, { content: `Attachments of "${sticky.name}":\n${lines.join('\n')}`, ephemeral: true });
+  }
+
+  let result;
+  let change;
+  let removed = [];
+  if (subCmd === 'add') {
+    if (attachments.length >= StickyAttachments.MAX_FILES)
+      return answer(interaction, { content: `A sticky can have at most ${StickyAttachments.MAX_FILES} attachments!`, ephemeral: true });
+    const file = interaction.options.getAttachment('file');
+    const { MaxSizeMB } = StickyAttachments.settings();
+    if (file.size > MaxSizeMB * 1024 * 1024) return answer(interaction, { content: `Files can be at most ${MaxSizeMB} MB!`, ephemeral: true });
+    try {
+      attachments.push(await StickyAttachments.save(interaction.guild.id, file));
+    } catch (e) {
+      console.error('[StickyMessages] Could not store an attachment:', e);
+      return answer(interaction, { content: `The file could not be stored: ${e.message}`, ephemeral: true });
+    }
+    result = `Attached ${file.name} to "${sticky.name}"!`;
+    change = `attached ${file.name}`;
+  } else if (subCmd === 'remove') {
+    const position = interaction.options.getInteger('position');
+    if (position > attachments.length)
+      return answer(interaction, { content: `The sticky message "${sticky.name}" has no attachment #${position}!`, ephemeral: true });
+    removed = attachments.splice(position - 1, 1);
+    result = `Removed ${removed[0].name} from "${sticky.name}"!`;
+    change = `removed attachment ${removed[0].name}`;
+  }
+
+  const updated = await StickyStore.update(sticky._id, { attachments });
+  await StickyAttachments.removeFiles(removed);
+  const all = stickies.map(s => (s._id === updated._id ? updated : s));
+  if (StickyService.isLive(updated)) await StickyService.repostChannel(interaction.channel, all, { previous: stickies });
+  await StickyCache.refresh(interaction.channel.id);
+  await StickyAudit.record(interaction.client, { action: 'edit', sticky: updated, actor: interaction.user, changes: [change] });
+
+  await answer(interaction, { content: result, ephemeral: true });
+}
+
+/**
+ * /sticky create: stores a new sticky and posts it in its priority slot.
+ * @param {Object} [builder] - Set when the sticky comes from the builder
+ * @param {Object} [builder.draft] - { title, message, footer } entered in the builder
+ * @param {function(Object): Promise} [builder.respond] - Answers instead of interaction.reply
+ */
+async function handleCreate(interaction, { draft = null, respond = payload => answer(interaction, payload) } = {}) {
+  const name = (interaction.options.getString('name') || 'default').trim();
+  // A thread template belongs to the channel whose threads it is posted in
+  const threadTemplate = !!interaction.options.getBoolean('threads');
+  const home = threadTemplate && interaction.channel.isThread() ? interaction.channel.parent : interaction.channel;
+  if (threadTemplate && !home.threads)
+    return respond({ content: `This channel can't have threads, thread templates need a text or forum channel!`, ephemeral: true });
+  const existing = home === interaction.channel
+    ? await channelStickies(interaction)
+    : await StickyStore.find({ guildId: interaction.guild.id, channelId: home.id });
+  if (existing.some(sticky => sticky.name === name))
+    return respond({
+      content: `There is already a sticky message named "${name}" in ${home === interaction.channel ? 'this channel' : `<#${home.id}>`}! Delete it or pick another name`,
+      ephemeral: true,
+    });
+
+  let msg = draft ? draft.message : interaction.options.getString('msg');
+  if (typeof msg === 'string' && !draft) {
+    msg = msg.replace(/\\n/g, '\n');
+  }
+  const settings = StickySettings.forGuild(interaction.guild.id);
+  let useWebhookOpt = interaction.options.getBoolean('webhook');
+  let useWebhook = typeof useWebhookOpt === 'boolean' ? useWebhookOpt : !!(settings.Webhooks && settings.Webhooks.EnabledByDefault);
+
+  let useEmbedOpt = interaction.options.getBoolean('embed');
+  let useEmbed = typeof useEmbedOpt === 'boolean' ? useEmbedOpt : (settings.EnableEmbeds !== undefined ? settings.EnableEmbeds : true);
+
+  const { identity, error: identityError } = readIdentity(interaction);
+  if (identityError) return respond({ content: identityError, ephemeral: true });
+  const webhookDenied = (useWebhook || Object.keys(identity).length > 0) && StickyPermissions.check(interaction.member, interaction.guild.id, 'webhook');
+  if (webhookDenied) return respond({ content: webhookDenied, ephemeral: true });
+
+  const { appearance, error } = readAppearance(interaction);
+  if (error) return respond({ content: error, ephemeral: true });
+  if (draft) Object.assign(appearance, { title: draft.title, footerText: draft.footer });
+  const tooLarge = sizeError({ guildId: interaction.guild.id, name, message: msg, useEmbed, appearance, threadTemplate, priority: interaction.options.getInteger('priority') || 0 }, existing);
+  if (tooLarge) return respond({ content: tooLarge, ephemeral: true });
+  const { schedule, error: scheduleError } = readSchedule(interaction);
+  if (scheduleError) return respond({ content: scheduleError, ephemeral: true });
+  const scheduleActive = StickySchedule.isScheduledActive(schedule);
+
+  let webhook = { webhookId: null, webhookToken: null };
+  let webhookNote = '';
+  if (useWebhook) {
+    const acquired = await StickyWebhooks.acquire(home);
+    if (acquired.webhook) webhook = acquired.webhook;
+    else {
+      useWebhook = false;
+      webhookNote = `\n${acquired.error} It posts as the bot instead.`;
+    }
+  }
+
+  const created = await StickyStore.create({
+    guildId: interaction.guild.id,
+    channelId: home.id,
+    name,
+    priority: interaction.options.getInteger('priority') || 0,
+    message: msg,
+    msgCount: 0,
+    messageId: null,
+    useWebhook,
+    useEmbed,
+    ...webhook,
+    ...identity,
+    appearance,
+    ...readTrigger(interaction),
+    ...schedule,
+    scheduleActive,
+    threadTemplate,
+    createdBy: interaction.user.id,
+    createdAt: new Date(),
+  });
+  await StickyAudit.record(interaction.client, { action: 'create', sticky: created, actor: interaction.user, after: created.message });
+
+  if (threadTemplate) {
+    await StickyCache.refresh(home.id);
+    return respond({ content: `You have successfully set the thread template "${name}", it will be posted in every new thread of <#${home.id}>!${webhookNote}`, ephemeral: true });
+  }
+
+  if (!scheduleActive) {
+    await StickyCache.refresh(interaction.channel.id);
+    return respond({ content: `You have successfully scheduled the sticky message "${name}", it will be posted when its schedule opens!${webhookNote}`, ephemeral: true });
+  }
+
+  // Repost the whole channel so the new sticky lands in its priority slot
+  await StickyService.repostChannel(interaction.channel, [...existing, created], { previous: existing });
+  await StickySlowmode.sync(interaction.channel, [...existing, created]);
+  await StickyCache.refresh(interaction.channel.id);
+
+  await respond({ content: `You have successfully set the sticky message "${name}" in this channel!${webhookNote}`, ephemeral: true });
+}
+
+/**
+ * /sticky edit: updates a sticky, editing the posted message in place when possible.
+ * @param {Object} [builder] - Set when the changes come from the builder, see handleCreate
+ */
+async function handleEdit(interaction, { draft = null, respond = payload => answer(interaction, payload) } = {}) {
+  const stickies = await channelStickies(interaction);
+  const { sticky: stickyMessage, error } = resolveSticky(interaction, stickies);
+  if (!stickyMessage) return respond({ content: error, ephemeral: true });
+
+  const updates = {};
+  const msg = interaction.options.getString('msg');
+  if (typeof msg === 'string') updates.message = msg.replace(/\\n/g, '\n');
+  const priority = interaction.options.getInteger('priority');
+  if (priority !== null) updates.priority = priority;
+  const useEmbed = interaction.options.getBoolean('embed');
+  if (useEmbed !== null) updates.useEmbed = useEmbed;
+  const useWebhook = interaction.options.getBoolean('webhook');
+  if (useWebhook !== null) updates.useWebhook = useWebhook;
+
+  const { identity, error: identityError } = readIdentity(interaction);
+  if (identityError) return respond({ content: identityError, ephemeral: true });
+  Object.assign(updates, identity);
+  const { appearance, error: appearanceError } = readAppearance(interaction);
+  if (appearanceError) return respond({ content: appearanceError, ephemeral: true });
+  for (const [key, value] of Object.entries(appearance)) updates[`appearance.${key}`] = value;
+  Object.assign(updates, readTrigger(interaction));
+  const { schedule, error: scheduleError } = readSchedule(interaction);
+  if (scheduleError) return respond({ content: scheduleError, ephemeral: true });
+  Object.assign(updates, schedule);
+  if (draft) {
+    if (draft.message !== stickyMessage.message) updates.message = draft.message;
+    if (draft.title !== stickyMessage.appearance.title) updates['appearance.title'] = draft.title;
+    if (draft.footer !== stickyMessage.appearance.footerText) updates['appearance.footerText'] = draft.footer;
+  }
+
+  if (Object.keys(updates).length === 0)
+    return respond({ content: draft ? `Nothing was changed.` : `You didn't change anything! Pass at least one option to edit.`, ephemeral: true });
+  const edited = { ...stickyMessage, appearance: { ...stickyMessage.appearance } };
+  for (const [key, value] of Object.entries(updates)) {
+    if (key.startsWith('appearance.')) edited.appearance[key.slice('appearance.'.length)] = value;
+    else edited[key] = value;
+  }
+  const tooLarge = sizeError(edited, stickies);
+  if (tooLarge) return respond({ content: tooLarge, ephemeral: true });
+
+  if ((useWebhook && !stickyMessage.useWebhook) || Object.keys(identity).length > 0) {
+    const webhookDenied = StickyPermissions.check(interaction.member, interaction.guild.id, 'webhook');
+    if (webhookDenied) return respond({ content: webhookDenied, ephemeral: true });
+  }
+  if (useWebhook && !stickyMessage.useWebhook) {
+    const { webhook, error: webhookError } = await StickyWebhooks.acquire(interaction.channel);
+    if (!webhook) return respond({ content: webhookError, ephemeral: true });
+    Object.assign(updates, webhook);
+  }
+  // The channel webhook is shared, so a sticky switching it off lets go of it
+  if (useWebhook === false && stickyMessage.webhookId) Object.assign(updates, { webhookId: null, webhookToken: null });
+
+  const updated = await StickyStore.update(stickyMessage._id, updates);
+  await StickyAudit.record(interaction.client, {
+    action: 'edit',
+    sticky: updated,
+    actor: interaction.user,
+    before: updates.message !== undefined ? stickyMessage.message : null,
+    after: updates.message !== undefined ? updated.message : null,
+    // Webhook credentials are secrets and follow from the webhook option anyway
+    changes: Object.keys(updates).filter(key => !['webhookId', 'webhookToken'].includes(key)),
+  });
+  const all = stickies.map(sticky => (sticky._id === updated._id ? updated : sticky));
+
+  // A different sender or position can't be applied to a posted message, those need a repost
+  const identityChanged = stickyMessage.useWebhook && ['webhookName', 'webhookAvatarURL'].some(key => updates[key] !== undefined && updates[key] !== stickyMessage[key]);
+  const needsRepost = (updates.useWebhook !== undefined && updates.useWebhook !== stickyMessage.useWebhook) || identityChanged
+    || (updates.priority !== undefined && updates.priority !== stickyMessage.priority && all.length > 1);
+  const scheduleChanged = await StickyService.syncSchedule(interaction.channel, all);
+  if (!scheduleChanged && StickyService.isLive(updated)
+    && (needsRepost || !(await StickyService.updatePosted(interaction.channel, all, updated)))) {
+    await StickyService.repostChannel(interaction.channel, all, { previous: stickies });
+  }
+  await StickyCache.refresh(interaction.channel.id);
+  if (updates.webhookId === null) await StickyWebhooks.release(interaction.channel, stickyMessage);
+
+  await respond({ content: `You have successfully edited the sticky message "${updated.name}"!`, ephemeral: true });
+}
+
+/**
+ * Opens the modal builder for /sticky create without a message, or /sticky
+ * edit without changes. The other options passed still apply when saving.
+ */
+async function handleBuilder(interaction, subCmd) {
+  const stickies = await channelStickies(interaction);
+  let sticky;
+  if (subCmd === 'edit') {
+    const { sticky: stickyMessage, error } = resolveSticky(interaction, stickies);
+    if (!stickyMessage) return answer(interaction, { content: error, ephemeral: true });
+    sticky = stickyMessage;
+  } else {
+    const name = (interaction.options.getString('name') || 'default').trim();
+    if (stickies.some(other => other.name === name))
+      return answer(interaction, { content: `There is already a sticky message named "${name}" in this channel! Delete it or pick another name`, ephemeral: true });
+    const { appearance, error } = readAppearance(interaction);
+    if (error) return answer(interaction, { content: error, ephemeral: true });
+    const useEmbed = interaction.options.getBoolean('embed');
+    sticky = { guildId: interaction.guild.id, name, useEmbed: useEmbed !== null ? useEmbed : undefined, appearance };
+  }
+
+  const draftOf = values => ({ ...sticky, message: values.message, appearance: { ...sticky.appearance, title: values.title, footerText: values.footer } });
+  await StickyBuilder.run(interaction, {
+    heading: subCmd === 'edit' ? `Edit sticky "${sticky.name}"` : `New sticky "${sticky.name}"`,
+    values: { title: sticky.appearance.title || null, message: sticky.message || '', footer: sticky.appearance.footerText || null },
+    messageLimit: StickyService.contentLimit(sticky),
+    preview: values => StickyService.buildPayload(
+      { ...draftOf(values), pool: [] },
+      { channel: interaction.channel, lastPoster: interaction.member.displayName || interaction.user.username },
+    ),
+    check: values => sizeError(draftOf(values), stickies),
+    save: async (click, draft) => {
+      // Like the commands, saving may wait behind a repost for longer than Discord gives to answer the click
+      await click.deferUpdate();
+      const respond = payload => click.editReply({ content: payload.content, embeds: [], components: [] });
+      await StickyQueue.runExclusive(interaction.channel.id, () => (subCmd === 'edit' ? handleEdit(interaction, { draft, respond }) : handleCreate(interaction, { draft, respond })));
+      await syncThreadCopies(interaction);
+    },
+  });
+}
+
+/**
+ * Whether /sticky edit was given anything to change, rather than just which sticky.
+ */
+function hasEditOptions(interaction) {
+  const options = interaction.options.data[0] && interaction.options.data[0].options;
+  return (options || []).some(option => option.name !== 'name');
+}
+
+/**
+ * /sticky preview: renders a sticky or a draft text without saving it.
+ */
+async function handlePreview(interaction) {
+  const msg = interaction.options.getString('msg');
+  const useEmbed = interaction.options.getBoolean('embed');
+  let sticky;
+  if (msg !== null) {
+    sticky = { guildId: interaction.guild.id, message: msg.replace(/\\n/g, '\n'), useEmbed: useEmbed !== null ? useEmbed : undefined, appearance: {} };
+  } else {
+    const { sticky: stickyMessage, error } = resolveSticky(interaction, await channelStickies(interaction));
+    if (!stickyMessage) return answer(interaction, { content: error, ephemeral: true });
+    sticky = stickyMessage;
+    if (useEmbed !== null) sticky.useEmbed = useEmbed;
+  }
+
+  const payload = StickyService.buildPayload(sticky, {
+    channel: interaction.channel,
+    lastPoster: interaction.member.displayName || interaction.user.username,
+  });
+  await answer(interaction, { ...payload, ephemeral: true });
+}
+
+/**
+ * Parses a duration such as "30m", "2h" or "1d12h".
+ * @returns {number|null} Milliseconds, or null when invalid
+ */
+function parseDuration(text) {
+  const compact = text.replace(/\s+/g, '').toLowerCase();
+  if (!/^(\d+[mhd])+$/.test(compact)) return null;
+  const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  return [...compact.matchAll(/(\d+)([mhd])/g)].reduce((total, [, amount, unit]) => total + Number(amount) * units[unit], 0);
+}
+
+/**
+ * /sticky pause: stops reposting a sticky, or every sticky of the channel,
+ * without deleting it.
+ */
+async function handlePause(interaction) {
+  const stickies = await channelStickies(interaction);
+  if (!stickies.some(isTarget)) return answer(interaction, { content: `There is no sticky message in this channel!`, ephemeral: true });
+  const name = interaction.options.getString('name');
+  // Without a name only the channel's own stickies pause, not the templates of a thread's parent
+  const targets = stickies.filter(sticky => isTarget(sticky) && (name ? sticky.name === name : sticky.channelId === interaction.channel.id) && !sticky.paused);
+  if (name && !stickies.some(sticky => isTarget(sticky) && sticky.name === name))
+    return answer(interaction, { content: `There is no sticky message named "${name}" in this channel!`, ephemeral: true });
+  if (targets.length === 0)
+    return answer(interaction, { content: name ? `The sticky message "${name}" is already paused!` : `Every sticky message of this channel is already paused!`, ephemeral: true });
+
+  const durationText = interaction.options.getString('duration');
+  let until = null;
+  if (durationText !== null) {
+    const duration = parseDuration(durationText);
+    if (!duration) return answer(interaction, { content: `"${durationText}" is not a valid duration, use something like 30m, 2h or 1d`, ephemeral: true });
+    until = new Date(Date.now() + duration);
+  }
+
+  await StickyService.pauseStickies(interaction.channel, stickies, targets, {
+    until,
+    removeMessage: !!interaction.options.getBoolean('remove_message'),
+    restoreSlowmode: !!interaction.options.getBoolean('restore_slowmode'),
+    by: interaction.user.id,
+  });
+  await StickyCache.refresh(interaction.channel.id);
+  for (const sticky of targets) {
+    await StickyAudit.record(interaction.client, {
+      action: 'pause',
+      sticky,
+      actor: interaction.user,
+      changes: [until ? `until ${until.toISOString()}` : 'until resumed'],
+    });
+  }
+
+  const names = targets.map(sticky => `"${sticky.name}"`).join(', ');
+  await answer(interaction, {
+    content: `Paused the sticky message${targets.length > 1 ? 's' : ''} ${names}${until ? `, resuming <t:${Math.floor(until.getTime() / 1000)}:R>` : ' until you resume it'}!`,
+    ephemeral: true,
+  });
+}
+
+/**
+ * /sticky resume: resumes a paused sticky, or every paused sticky of the
+ * channel, and reposts right away.
+ */
+async function handleResume(interaction) {
+  const stickies = await channelStickies(interaction);
+  const name = interaction.options.getString('name');
+  const targets = stickies.filter(sticky => isTarget(sticky) && (name ? sticky.name === name : sticky.channelId === interaction.channel.id) && sticky.paused);
+  if (targets.length === 0)
+    return answer(interaction, { content: name ? `There is no paused sticky message named "${name}" in this channel!` : `There is no paused sticky message in this channel!`, ephemeral: true });
+
+  await StickyService.resumeStickies(interaction.channel, stickies, targets);
+  await StickyCache.refresh(interaction.channel.id);
+  for (const sticky of targets) await StickyAudit.record(interaction.client, { action: 'resume', sticky, actor: interaction.user });
+
+  await answer(interaction, { content: `Resumed the sticky message${targets.length > 1 ? 's' : ''} ${targets.map(sticky => `"${sticky.name}"`).join(', ')}!`, ephemeral: true });
+}
+
+/**
+ * /sticky slowmode: shows or changes the slowmode a sticky keeps in its channel.
+ */
+async function handleSlowmode(interaction) {
+  const stickies = await channelStickies(interaction);
+  const { sticky, error } = resolveSticky(interaction, stickies);
+  if (!sticky) return answer(interaction, { content: error, ephemeral: true });
+
+  const delay = interaction.options.getInteger('delay');
+  const adaptive = interaction.options.getBoolean('adaptive');
+  const reset = interaction.options.getBoolean('reset');
+  const describe = record => {
+    const seconds = StickySlowmode.slowmodeOf(record);
+    const base = seconds === null ? 'no slowmode' : `${seconds}s slowmode`;
+    return `${base}${StickySlowmode.isAdaptive(record) ? ', adaptive' : ''}${record.slowmode === null && record.adaptiveSlowmode === null ? ' (server default)' : ''}`;
+  };
+
+  if (delay === null && adaptive === null && !reset) {
+    const previous = sticky.previousSlowmode !== null ? ` Its own slowmode of ${sticky.previousSlowmode}s is restored once no sticky is left.` : '';
+    return answer(interaction, {
+      content: `The sticky message "${sticky.name}" keeps ${describe(sticky)}. The channel is at ${interaction.channel.rateLimitPerUser || 0}s now.${previous}`,
+      ephemeral: true,
+    });
+  }
+
+  const updates = reset ? { slowmode: null, adaptiveSlowmode: null } : {};
+  if (delay !== null) updates.slowmode = delay;
+  if (adaptive !== null) updates.adaptiveSlowmode = adaptive;
+  const updated = await StickyStore.update(sticky._id, updates);
+  await StickySlowmode.sync(interaction.channel, stickies.map(s => (s._id === updated._id ? updated : s)));
+  await StickyCache.refresh(interaction.channel.id);
+  await StickyAudit.record(interaction.client, {
+    action: 'edit',
+    sticky: updated,
+    actor: interaction.user,
+    changes: Object.entries(updates).map(([key, value]) => `${key}: ${value === null ? 'default' : value}`),
+  });
+
+  await answer(interaction, { content: `The sticky message "${updated.name}" now keeps ${describe(updated)}!`, ephemeral: true });
+}
+
+/**
+ * /sticky filters: shows or changes which messages count towards a sticky's
+ * repost, see StickyFilters.
+ */
+async function handleFilters(interaction) {
+  const stickies = await channelStickies(interaction);
+  const { sticky, error } = resolveSticky(interaction, stickies);
+  if (!sticky) return answer(interaction, { content: error, ephemeral: true });
+
+  const changes = {};
+  const toggles = [['bots', 'ignoreBots'], ['attachments_only', 'ignoreAttachmentOnly'], ['emoji_only', 'ignoreEmojiOnly'], ['links', 'requireLinks']];
+  for (const [option, key] of toggles) {
+    const value = interaction.options.getBoolean(option);
+    if (value !== null) changes[key] = value;
+  }
+  const minLength = interaction.options.getInteger('min_length');
+  if (minLength !== null) changes.minLength = minLength;
+  for (const [option, key, kind] of [['roles', 'ignoreRoles', 'role'], ['users', 'ignoreUsers', 'user']]) {
+    const value = interaction.options.getString(option);
+    if (value === null) continue;
+    const { ids, error: listError } = value.trim().toLowerCase() === 'none' ? { ids: [] } : parseMentions(interaction.guild, value, kind);
+    if (listError) return answer(interaction, { content: listError, ephemeral: true });
+    changes[key] = ids;
+  }
+  const keywords = interaction.options.getString('keywords');
+  if (keywords !== null) {
+    changes.keywords = keywords.trim().toLowerCase() === 'none'
+      ? []
+      : [...new Set(keywords.split(',').map(keyword => keyword.trim()).filter(Boolean))];
+  }
+
+  // A reset replaces the whole map, with the other options passed applied on top
+  const updates = interaction.options.getBoolean('reset')
+    ? { countFilters: { ...StickyRecord.createDefaults().countFilters, ...changes } }
+    : Object.fromEntries(Object.entries(changes).map(([key, value]) => [`countFilters.${key}`, value]));
+  if (Object.keys(updates).length === 0) {
+    return answer(interaction, { content: `The sticky message "${sticky.name}" ${StickyFilters.describe(sticky)}.`, ephemeral: true, allowedMentions: { parse: [] } });
+  }
+
+  const updated = await StickyStore.update(sticky._id, updates);
+  await StickyCache.refresh(updated.channelId);
+  await StickyAudit.record(interaction.client, {
+    action: 'edit',
+    sticky: updated,
+    actor: interaction.user,
+    changes: [`counting filters: ${StickyFilters.describe(updated)}`],
+  });
+
+  await answer(interaction, { content: `The sticky message "${updated.name}" now ${StickyFilters.describe(updated)}!`, ephemeral: true, allowedMentions: { parse: [] } });
+}
+
+/**
+ * /sticky delete: removes a sticky and its posted message.
+ */
+async function handleDelete(interaction) {
+  const stickies = await channelStickies(interaction);
+  const { sticky: stickyMessage, error } = resolveSticky(interaction, stickies);
+  if (!stickyMessage) return answer(interaction, { content: error, ephemeral: true });
+
+  await StickyStore.delete(stickyMessage._id);
+  await StickyAttachments.removeFiles(StickyAttachments.filesOf(stickyMessage));
+  await StickyAudit.record(interaction.client, { action: 'delete', sticky: stickyMessage, actor: interaction.user, before: stickyMessage.message });
+
+  const remaining = stickies.filter(sticky => sticky._id !== stickyMessage._id);
+  await StickyService.deletePosted(interaction.channel, [stickyMessage]);
+  // A combined message also held the remaining stickies, so post them again
+  if (remaining.some(StickyService.isLive) && StickyService.channelSettings(interaction.channel).MultiStickyMode === 'combined') {
+    await StickyService.repostChannel(interaction.channel, remaining);
+  }
+  await StickySlowmode.sync(interaction.channel, remaining, { removed: [stickyMessage] });
+  await StickyCache.refresh(interaction.channel.id);
+  await StickyWebhooks.release(interaction.channel, stickyMessage);
+
+  await answer(interaction, {
+    content: `You have successfully deleted the sticky message "${stickyMessage.name}" from this channel!`,
+    ephemeral: true,
+  });
+}
+
+/**
+ * /sticky list: pages through the stickies of this server. Buttons page and
+ * refresh the view, a menu filters it by type, and records whose channel is
+ * gone are flagged and only removed once confirmed.
+ */
+async function handleList(interaction, client) {
+  const name = interaction.options.getString('name');
+  const channel = interaction.options.getChannel('channel');
+  const filter = { guildId: interaction.guild.id };
+  if (name) filter.name = name;
+  if (channel) filter.channelId = channel.id;
+  const load = async () => StickyListView.loadEntries(interaction.guild, await StickyStore.find(filter));
+
+  let entries = await load();
+  if (entries.length === 0) {
+    return answer(interaction, { content: 'There are no active sticky messages.', ephemeral: true });
+  }
+
+  const state = { guildId: interaction.guild.id, page: 0, type: interaction.options.getString('type') || 'all', channelId: channel ? channel.id : null, confirmCleanup: false };
+  const render = () => {
+    const view = StickyListView.buildView(entries, state);
+    state.page = view.page;
+    return { embeds: view.embeds, components: view.components };
+  };
+  const response = await answer(interaction, { ...render(), ephemeral: true });
+
+  const collector = response.createMessageComponentCollector({ filter: i => i.user.id === interaction.user.id, idle: COMPONENT_IDLE_MS });
+  collector.on('collect', async i => {
+    try {
+      let notice = null;
+      if (i.customId === 'sticky_list_prev') state.page -= 1;
+      if (i.customId === 'sticky_list_next') state.page += 1;
+      if (i.customId === 'sticky_list_type') {
+        state.type = i.values[0];
+        state.page = 0;
+      }
+      state.confirmCleanup = i.customId === 'sticky_list_cleanup';
+      if (i.customId === 'sticky_list_cleanup_confirm') notice = await removeOrphans(i, client, entries);
+      if (i.customId === 'sticky_list_refresh' || i.customId === 'sticky_list_cleanup_confirm') entries = await load();
+
+      await i.update(render());
+      if (notice) await i.followUp({ content: notice, ephemeral: true });
+    } catch (e) {
+      console.error('[StickyMessages] Sticky list update failed:', e);
+    }
+  });
+  collector.on('end', () => {
+    interaction.editReply({ components: [] }).catch(() => {});
+  });
+}
+
+/**
+ * Deletes the records of a list whose channel no longer exists, if the user
+ * may delete stickies.
+ * @returns {Promise<string>} What happened, for the user
+ */
+async function removeOrphans(interaction, client, entries) {
+  const denied = StickyPermissions.check(interaction.member, interaction.guild.id, 'delete');
+  if (denied) return denied;
+
+  const orphans = entries.filter(entry => entry.orphaned).map(entry => entry.sticky);
+  if (orphans.length === 0) return 'There are no orphaned sticky messages.';
+  for (const sticky of orphans) {
+    await StickyStore.delete(sticky._id);
+    await StickyAttachments.removeFiles(StickyAttachments.filesOf(sticky));
+    await StickyAudit.record(client, {
+      action: 'cleanup',
+      sticky,
+      actor: interaction.user,
+      before: sticky.message,
+      changes: ['deleted because its channel no longer exists'],
+    });
+    await StickyQueue.runExclusive(sticky.channelId, () => StickyCache.refresh(sticky.channelId));
+  }
+  await syncThreadCopies(interaction);
+  return `Removed ${orphans.length} orphaned sticky message${orphans.length === 1 ? '' : 's'}.`;
+}
+
+/**
+ * /sticky export: sends every sticky of this server as a JSON or YAML file.
+ */
+async function handleExport(interaction) {
+  const format = interaction.options.getString('format') || 'json';
+  const stickies = StickyService.sortStickies(await StickyStore.find({ guildId: interaction.guild.id }));
+  if (stickies.length === 0) return answer(interaction, { content: 'There are no sticky messages to export.', ephemeral: true });
+
+  const file = new Discord.AttachmentBuilder(Buffer.from(StickyTransfer.exportStickies(interaction.guild, stickies, format), 'utf8'), {
+    name: `stickies-${interaction.guild.id}.${format === 'yaml' ? 'yml' : 'json'}`,
+  });
+  await answer(interaction, { content: `Exported ${stickies.length} sticky message${stickies.length === 1 ? '' : 's'}. Webhook credentials are never included.`, files: [file], ephemeral: true });
+}
+
+/**
+ * /sticky import: reads an export file, shows what it would change and
+ * applies it once confirmed with the button.
+ */
+async function handleImport(interaction) {
+  const attachment = interaction.options.getAttachment('file');
+  if (attachment.size > MAX_IMPORT_BYTES) return answer(interaction, { content: `The file is too large, imports can be at most 1 MB.`, ephemeral: true });
+
+  await interaction.deferReply({ ephemeral: true });
+  let text;
+  try {
+    const response = await fetch(attachment.url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    text = await response.text();
+  } catch (e) {
+    console.error('[StickyMessages] Could not download the import file:', e);
+    return interaction.editReply({ content: `The file could not be downloaded, please try again.` });
+  }
+
+  const { definitions, errors } = StickyTransfer.parse(text);
+  if (errors.length > 0) {
+    const shown = errors.slice(0, 15).map(error => `• ${error}`);
+    if (errors.length > shown.length) shown.push(`...and ${errors.length - shown.length} more`);
+    return interaction.editReply({ content: `The file can't be imported, nothing was changed:\n${shown.join('\n')}`.slice(0, 2000) });
+  }
+
+  const steps = StickyTransfer.plan(interaction.guild, definitions, await StickyStore.find({ guildId: interaction.guild.id }));
+  const pending = steps.filter(step => step.action === 'create' || step.action === 'update');
+  const webhookDenied = pending.some(step => step.fields.useWebhook) && StickyPermissions.check(interaction.member, interaction.guild.id, 'webhook');
+  if (webhookDenied) return interaction.editReply({ content: `The file has webhook stickies. ${webhookDenied}` });
+  for (const button of pending.flatMap(step => step.fields.buttons).filter(button => button.type === 'role')) {
+    const role = interaction.guild.roles.cache.get(button.roleId);
+    if (!role) return interaction.editReply({ content: `The role of the button "${button.label}" doesn't exist in this server, nothing was changed.` });
+    if (!canGiveRole(interaction.member, role)) return interaction.editReply({ content: `The button "${button.label}" gives the ${role.name} role, which you couldn't give yourself. Nothing was changed.` });
+  }
+
+  const embed = new Discord.EmbedBuilder()
+    .setTitle('Sticky Import (dry run)')
+    .setColor(pending.length > 0 ? 'Yellow' : 'Grey')
+    .setDescription(StickyTransfer.describePlan(steps).join('\n').slice(0, 4096))
+    .setFooter({ text: pending.length > 0 ? `${pending.length} change${pending.length === 1 ? '' : 's'} • nothing is changed until you apply` : 'There is nothing to import' });
+  if (pending.length === 0) return interaction.editReply({ embeds: [embed] });
+
+  const buttons = new Discord.ActionRowBuilder().addComponents(
+    new Discord.ButtonBuilder().setCustomId('sticky_import_apply').setLabel('Apply').setStyle(Discord.ButtonStyle.Success),
+    new Discord.ButtonBuilder().setCustomId('sticky_import_cancel').setLabel('Cancel').setStyle(Discord.ButtonStyle.Secondary),
+  );
+  const message = await interaction.editReply({ embeds: [embed], components: [buttons] });
+
+  const collector = message.createMessageComponentCollector({ filter: i => i.user.id === interaction.user.id, idle: COMPONENT_IDLE_MS, max: 1 });
+  collector.on('collect', async i => {
+    try {
+      if (i.customId === 'sticky_import_cancel') return i.update({ content: 'The import was cancelled, nothing was changed.', embeds: [embed], components: [] });
+      await i.update({ content: 'Importing...', embeds: [embed], components: [] });
+      const applied = await applyImport(interaction, pending);
+      await interaction.editReply({ content: `Imported ${applied} sticky message${applied === 1 ? '' : 's'}!`, embeds: [embed.setTitle('Sticky Import').setColor('Green')] });
+    } catch (e) {
+      console.error('[StickyMessages] Sticky import failed:', e);
+      interaction.editReply({ content: 'The import failed part way, check /sticky list for what was applied.' }).catch(() => {});
+    }
+  });
+  collector.on('end', (collected) => {
+    if (collected.size === 0) interaction.editReply({ content: 'The import timed out, nothing was changed.', components: [] }).catch(() => {});
+  });
+}
+
+/**
+ * Creates and updates the stickies of an import plan, then reposts every
+ * channel it touched once.
+ * @param {Discord.ChatInputCommandInteraction} interaction
+ * @param {Object[]} steps - The create and update steps of StickyTransfer.plan()
+ * @returns {Promise<number>} How many stickies were written
+ */
+async function applyImport(interaction, steps) {
+  const byChannel = new Map();
+  for (const step of steps) {
+    if (!byChannel.has(step.channel.id)) byChannel.set(step.channel.id, []);
+    byChannel.get(step.channel.id).push(step);
+  }
+
+  let applied = 0;
+  const released = [];
+  for (const [channelId, channelSteps] of byChannel) {
+    const channel = channelSteps[0].channel;
+    await StickyQueue.runExclusive(channelId, async () => {
+      const before = await StickyStore.find({ guildId: interaction.guild.id, channelId });
+      for (const step of channelSteps) {
+        const fields = {};
+        for (const field of Object.keys(StickyTransfer.FIELDS)) fields[field] = step.fields[field];
+        fields.scheduleActive = StickySchedule.isScheduledActive(fields);
+        if (fields.useWebhook && !(step.sticky && step.sticky.webhookId)) {
+          const { webhook } = await StickyWebhooks.acquire(channel);
+          if (webhook) Object.assign(fields, webhook);
+          else fields.useWebhook = false;
+        }
+        // Like /sticky edit, a sticky the import switches to the bot lets go of the channel webhook
+        if (!fields.useWebhook && step.sticky && step.sticky.webhookId) {
+          Object.assign(fields, { webhookId: null, webhookToken: null });
+          released.push({ channel, sticky: step.sticky });
+        }
+
+        if (step.action === 'create') {
+          const created = await StickyStore.create({
+            ...fields,
+            guildId: interaction.guild.id,
+            channelId,
+            createdBy: interaction.user.id,
+            createdAt: new Date(),
+          });
+          await StickyAudit.record(interaction.client, { action: 'create', sticky: created, actor: interaction.user, after: created.message, changes: ['imported'] });
+        } else {
+          const updated = await StickyStore.update(step.sticky._id, fields);
+          await StickyAudit.record(interaction.client, {
+            action: 'edit',
+            sticky: updated,
+            actor: interaction.user,
+            before: step.sticky.message !== updated.message ? step.sticky.message : null,
+            after: step.sticky.message !== updated.message ? updated.message : null,
+            changes: step.changes.map(field => `${field} (imported)`),
+          });
+        }
+        applied += 1;
+      }
+
+      const stickies = await StickyStore.find({ guildId: interaction.guild.id, channelId });
+      await StickyService.repostChannel(channel, stickies, { previous: before.filter(sticky => sticky.messageId) });
+      await StickySlowmode.sync(channel, stickies);
+      await StickyCache.refresh(channelId);
+    });
+  }
+  for (const { channel, sticky } of released) await StickyWebhooks.release(channel, sticky);
+  await syncThreadCopies(interaction);
+  return applied;
+}
+
+/**
+ * /sticky history: browses the audit trail of this server, newest first.
+ */
+async function handleHistory(interaction) {
+  const channel = interaction.options.getChannel('channel');
+  const name = interaction.options.getString('name');
+  const page = interaction.options.getInteger('page') || 1;
+  const { entries, hasMore } = await StickyAudit.history(interaction.guild.id, { channelId: channel ? channel.id : null, name, page });
+  if (entries.length === 0)
+    return answer(interaction, { content: page > 1 ? `There is no page ${page} in the sticky history!` : 'No sticky changes have been recorded yet.', ephemeral: true });
+
+  const preview = text => {
+    const flat = text.replace(/\s+/g, ' ');
+    return flat.length > 80 ? `${flat.slice(0, 77)}...` : flat;
+  };
+  const lines = entries.map(entry => {
+    const details = [];
+    if (entry.changes.length > 0) details.push(entry.changes.join(', '));
+    if (entry.before) details.push(`before: "${preview(entry.before)}"`);
+    if (entry.after) details.push(`after: "${preview(entry.after)}"`);
+    return `<t:${Math.floor(entry.createdAt.getTime() / 1000)}:f> **${entry.action}** "${entry.stickyName}" in <#${entry.channelId}> by ${entry.actorId ? `<@${entry.actorId}>` : 'System'}`
+      + (details.length > 0 ? `\n> ${details.join(' • ')}` : '');
+  });
+  const embed = new Discord.EmbedBuilder()
+    .setTitle('Sticky History')
+    .setColor('Green')
+    .setDescription(lines.join('\n').slice(0, 4096))
+    .setFooter({ text: `Page ${page}${hasMore ? ` • use page ${page + 1} for older changes` : ''}` });
+  await answer(interaction, { embeds: [embed], ephemeral: true });
+}
+
+/**
+ * /sticky settings: shows the settings of this server, or overrides one of
+ * them. A value of "default" goes back to the config.yml value.
+ */
+async function handleSettings(interaction) {
+  const guildId = interaction.guild.id;
+  const name = interaction.options.getString('setting');
+  const text = interaction.options.getString('value');
+  const display = value => (value === null || value === undefined || value === '' ? '*none*' : `\`${value}\``);
+
+  if (text === null) {
+    const overrides = StickySettings.overridesOf(guildId);
+    const names = name ? [name] : Object.keys(StickySettings.SETTINGS);
+    const embed = new Discord.EmbedBuilder()
+      .setTitle('Sticky Settings')
+      .setColor('Green')
+      .setDescription(names.map(key => `${key in overrides ? '✏️' : '•'} **${key}**: ${display(StickySettings.valueOf(guildId, key))}`).join('\n'))
+      .setFooter({ text: '✏️ is set for this server, the others come from config.yml' });
+    return answer(interaction, { embeds: [embed], ephemeral: true });
+  }
+
+  if (!name) return answer(interaction, { content: `Pick the setting to change with the setting option!`, ephemeral: true });
+
+  if (text.trim().toLowerCase() === 'default') {
+    await StickySettings.set(guildId, name, null);
+    return answer(interaction, { content: `**${name}** is back to the config.yml value ${display(StickySettings.valueOf(guildId, name))}!`, ephemeral: true });
+  }
+  const { value, error } = StickySettings.parseValue(name, text);
+  if (error) return answer(interaction, { content: error, ephemeral: true });
+  await StickySettings.set(guildId, name, value);
+  await answer(interaction, { content: `**${name}** is now ${display(value)} in this server. Posted stickies pick it up on their next repost.`, ephemeral: true });
+}
+
+/**
+ * Parses a list of roles typed as mentions, IDs or names, or of users typed
+ * as mentions or IDs. Both are stored by ID so renaming them doesn't break
+ * the rule.
+ * @param {Discord.Guild} guild
+ * @param {string} text
+ * @param {string} [kind] - "role" or "user"
+ * @returns {{ ids: string[], error: string|null }}
+ */
+function parseMentions(guild, text, kind = 'role') {
+  const ids = [];
+  for (const part of text.split(/[,\s]+/).filter(Boolean)) {
+    if (kind === 'user') {
+      const id = (part.match(/^<@!?(\d+)>$/) || part.match(/^(\d{15,})$/) || [])[1];
+      if (!id) return { ids, error: `"${part}" is not a user mention or ID!` };
+      ids.push(id);
+      continue;
+    }
+    const id = part.replace(/^<@&(\d+)>$/, '$1');
+    const role = guild.roles.cache.get(id) || guild.roles.cache.find(r => r.name.toLowerCase() === part.replace(/^@/, '').toLowerCase());
+    if (!role) return { ids, error: `There is no role "${part}" in this server!` };
+    ids.push(role.id);
+  }
+  return { ids: [...new Set(ids)], error: null };
+}
+
+/**
+ * /sticky permissions: shows who may use each subcommand, or changes the rule
+ * of one of them for this server.
+ */
+async function handlePermissions(interaction) {
+  const guildId = interaction.guild.id;
+  const action = interaction.options.getString('action');
+  const rolesText = interaction.options.getString('roles');
+  const permissionsText = interaction.options.getString('permissions');
+  const reset = interaction.options.getBoolean('reset');
+
+  if (!action || (rolesText === null && permissionsText === null && !reset)) {
+    const embed = new Discord.EmbedBuilder()
+      .setTitle('Sticky Permissions')
+      .setColor('Green')
+      .setDescription((action ? [action] : PERMISSION_ACTIONS).map(key => {
+        const rule = StickyPermissions.ruleFor(guildId, key);
+        return `${rule.overridden ? '✏️' : '•'} **${key}**: ${StickyPermissions.describeRule(rule)}`;
+      }).join('\n'))
+      .setFooter({ text: '✏️ is set for this server, the others come from config.yml. Administrators can always use everything.' });
+    return answer(interaction, { embeds: [embed], ephemeral: true });
+  }
+
+  if (reset) {
+    await StickyPermissions.setRule(guildId, action, null);
+    return answer(interaction, {
+      content: `The **${action}** rule is back to config.yml: ${StickyPermissions.describeRule(StickyPermissions.ruleFor(guildId, action))}.`,
+      ephemeral: true,
+    });
+  }
+
+  const current = StickyPermissions.ruleFor(guildId, action);
+  const rule = { Roles: current.Roles, Permissions: current.Permissions };
+  if (rolesText !== null) {
+    if (rolesText.trim().toLowerCase() === 'none') rule.Roles = [];
+    else {
+      const { ids, error } = parseMentions(interaction.guild, rolesText);
+      if (error) return answer(interaction, { content: error, ephemeral: true });
+      rule.Roles = ids;
+    }
+  }
+  if (permissionsText !== null) {
+    const names = permissionsText.trim().toLowerCase() === 'none' ? [] : permissionsText.split(/[,\s]+/).filter(Boolean);
+    const unknown = names.filter(name => !StickyPermissions.isPermission(name));
+    if (unknown.length > 0)
+      return answer(interaction, { content: `Unknown permission ${unknown.join(', ')}, use Discord permission names like ManageMessages or ManageGuild!`, ephemeral: true });
+    rule.Permissions = names;
+  }
+  await StickyPermissions.setRule(guildId, action, rule);
+  await answer(interaction, { content: `Using **${action}** now requires ${StickyPermissions.describeRule(rule)}.`, ephemeral: true });
+}
+
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('sticky')
     .setDescription('Manage Sticky Messages')
     .addSubcommand(subcommand =>
-      subcommand
+      addIdentityOptions(addScheduleOptions(addTriggerOptions(addAppearanceOptions(subcommand
         .setName('create')
         .setDescription('Create a sticky message in this channel')
-        .addStringOption(option => option.setName('msg').setDescription('Sticky message').setRequired(true))
+        .addStringOption(option => option.setName('msg').setDescription('Sticky message, leave out to open the builder').setRequired(false))
+        .addStringOption(option => option.setName('name').setDescription('Name of the sticky, unique per channel (default: "default")').setMaxLength(32).setRequired(false))
+        .addIntegerOption(option => option.setName('priority').setDescription('Higher priority stickies are shown first (default: 0)').setRequired(false))
         .addBooleanOption(option => option.setName('webhook').setDescription('Invia tramite Webhook').setRequired(false))
         .addBooleanOption(option => option.setName('embed').setDescription('Invia come embed (True) o testo (False)').setRequired(false))
+        .addBooleanOption(option => option.setName('threads').setDescription('Post it in every new thread of this channel or forum instead').setRequired(false))
+      ))))
+    )
+    .addSubcommand(subcommand =>
+      addIdentityOptions(addScheduleOptions(addTriggerOptions(addAppearanceOptions(subcommand
+        .setName('edit')
+        .setDescription('Edit a sticky here; without changes it opens the builder')
+        .addStringOption(option => option.setName('name').setDescription('Sticky to use, if the channel has several').setRequired(false))
+        .addStringOption(option => option.setName('msg').setDescription('New sticky message').setRequired(false))
+        .addIntegerOption(option => option.setName('priority').setDescription('Higher priority stickies are shown first').setRequired(false))
+        .addBooleanOption(option => option.setName('webhook').setDescription('Send through a webhook').setRequired(false))
+        .addBooleanOption(option => option.setName('embed').setDescription('Send as embed (True) or text (False)').setRequired(false))
+      ))))
     )
     .addSubcommand(subcommand =>
-      subcommand.setName('delete').setDescription('Delete the sticky message in this channel')
+      subcommand
+        .setName('preview')
+        .setDescription('Preview a sticky with its variables filled in')
+        .addStringOption(option => option.setName('msg').setDescription('Text to preview (default: an existing sticky)').setRequired(false))
+        .addStringOption(option => option.setName('name').setDescription('Sticky to preview, if the channel has several').setRequired(false))
+        .addBooleanOption(option => option.setName('embed').setDescription('Preview as embed (True) or text (False)').setRequired(false))
     )
     .addSubcommand(subcommand =>
-      subcommand.setName('list').setDescription('List all active sticky messages')
+      subcommand
+        .setName('delete')
+        .setDescription('Delete a sticky message in this channel')
+        .addStringOption(option => option.setName('name').setDescription('Sticky to use, if the channel has several').setRequired(false))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('Browse the sticky messages of this server')
+        .addStringOption(option => option.setName('name').setDescription('Only show stickies with this name').setRequired(false))
+        .addChannelOption(option => option.setName('channel').setDescription('Only show stickies of this channel').setRequired(false))
+        .addStringOption(option =>
+          option.setName('type').setDescription('Only show stickies of this type').setRequired(false)
+            .addChoices(...Object.entries(StickyListView.TYPE_FILTERS).map(([value, { label }]) => ({ name: label, value })))
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('pause')
+        .setDescription('Stop reposting stickies of this channel without deleting them')
+        .addStringOption(option => option.setName('name').setDescription('Sticky to pause (default: every sticky of the channel)').setRequired(false))
+        .addStringOption(option => option.setName('duration').setDescription('Resume automatically after e.g. 30m, 2h or 1d').setRequired(false))
+        .addBooleanOption(option => option.setName('remove_message').setDescription('Also remove the posted message').setRequired(false))
+        .addBooleanOption(option => option.setName('restore_slowmode').setDescription("Restore the channel's slowmode when nothing is left running").setRequired(false))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('resume')
+        .setDescription('Resume paused stickies of this channel and repost them')
+        .addStringOption(option => option.setName('name').setDescription('Sticky to resume (default: every paused sticky)').setRequired(false))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('slowmode')
+        .setDescription('Show or change the slowmode a sticky keeps in this channel')
+        .addStringOption(option => option.setName('name').setDescription('Sticky to use, if the channel has several').setRequired(false))
+        .addIntegerOption(option => option.setName('delay').setDescription('Slowmode in seconds while the sticky is live, 0 for none').setMinValue(0).setMaxValue(21600).setRequired(false))
+        .addBooleanOption(option => option.setName('adaptive').setDescription('Raise the slowmode while chat is busy').setRequired(false))
+        .addBooleanOption(option => option.setName('reset').setDescription('Use the server defaults again').setRequired(false))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('filters')
+        .setDescription('Show or change which messages count towards a repost')
+        .addStringOption(option => option.setName('name').setDescription('Sticky to use, if the channel has several').setRequired(false))
+        .addBooleanOption(option => option.setName('bots').setDescription('Ignore bots, webhooks and command replies').setRequired(false))
+        .addStringOption(option => option.setName('roles').setDescription('Roles to ignore, "none" to clear').setRequired(false))
+        .addStringOption(option => option.setName('users').setDescription('Users to ignore, "none" to clear').setRequired(false))
+        .addIntegerOption(option => option.setName('min_length').setDescription('Ignore shorter messages, 0 for no minimum').setMinValue(0).setMaxValue(2000).setRequired(false))
+        .addBooleanOption(option => option.setName('attachments_only').setDescription('Ignore messages with only files').setRequired(false))
+        .addBooleanOption(option => option.setName('emoji_only').setDescription('Ignore messages with only emojis or a sticker').setRequired(false))
+        .addBooleanOption(option => option.setName('links').setDescription('Only count messages with a link').setRequired(false))
+        .addStringOption(option => option.setName('keywords').setDescription('Only count messages with one of these words, "none" to clear').setRequired(false))
+        .addBooleanOption(option => option.setName('reset').setDescription('Count every message again').setRequired(false))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('export')
+        .setDescription('Download every sticky of this server as a file')
+        .addStringOption(option =>
+          option.setName('format').setDescription('File format (default: JSON)').setRequired(false)
+            .addChoices({ name: 'JSON', value: 'json' }, { name: 'YAML', value: 'yaml' })
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('import')
+        .setDescription('Import stickies from a /sticky export file, after a preview')
+        .addAttachmentOption(option => option.setName('file').setDescription('JSON or YAML file made by /sticky export').setRequired(true))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('history')
+        .setDescription('Show who created, edited or deleted stickies')
+        .addStringOption(option => option.setName('name').setDescription('Only changes of stickies with this name').setRequired(false))
+        .addChannelOption(option => option.setName('channel').setDescription('Only changes in this channel').setRequired(false))
+        .addIntegerOption(option => option.setName('page').setDescription('Page, 1 is the most recent').setMinValue(1).setRequired(false))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('settings')
+        .setDescription("Show or change this server's sticky settings")
+        .addStringOption(option =>
+          option
+            .setName('setting')
+            .setDescription('Setting to show or change')
+            .addChoices(...Object.keys(StickySettings.SETTINGS).map(key => ({ name: key, value: key })))
+            .setRequired(false))
+        .addStringOption(option => option.setName('value').setDescription('New value, or "default" to use config.yml again').setRequired(false))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('permissions')
+        .setDescription('Show or change who may use each /sticky subcommand')
+        .addStringOption(option =>
+          option
+            .setName('action')
+            .setDescription('Subcommand to show or change, or "webhook"')
+            .addChoices(...PERMISSION_ACTIONS.map(action => ({ name: action, value: action })))
+            .setRequired(false))
+        .addStringOption(option => option.setName('roles').setDescription('Roles that may use it, e.g. "@Mod @Admin", or "none"').setRequired(false))
+        .addStringOption(option => option.setName('permissions').setDescription('Permissions that may use it, e.g. "ManageMessages", or "none"').setRequired(false))
+        .addBooleanOption(option => option.setName('reset').setDescription('Go back to the config.yml rule').setRequired(false))
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('pool')
+        .setDescription('Manage the rotating messages of a sticky')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('add')
+            .setDescription('Add a message to the rotation')
+            .addStringOption(option => option.setName('msg').setDescription('Message to add').setRequired(true))
+            .addStringOption(option => option.setName('name').setDescription('Sticky to use, if the channel has several').setRequired(false))
+            .addIntegerOption(option => option.setName('position').setDescription('Position in the pool (default: last)').setMinValue(1).setRequired(false))
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('remove')
+            .setDescription('Remove a message from the rotation')
+            .addIntegerOption(option => option.setName('position').setDescription('Position shown by /sticky pool list').setMinValue(1).setRequired(true))
+            .addStringOption(option => option.setName('name').setDescription('Sticky to use, if the channel has several').setRequired(false))
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('list')
+            .setDescription('List the messages in the rotation')
+            .addStringOption(option => option.setName('name').setDescription('Sticky to use, if the channel has several').setRequired(false))
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('mode')
+            .setDescription('Rotate in order or randomly')
+            .addStringOption(option =>
+              option
+                .setName('mode')
+                .setDescription('Rotation order')
+                .addChoices({ name: 'Sequential', value: 'sequential' }, { name: 'Random', value: 'random' })
+                .setRequired(true))
+            .addStringOption(option => option.setName('name').setDescription('Sticky to use, if the channel has several').setRequired(false))
+        )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('button')
+        .setDescription('Manage the buttons under a sticky')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('add')
+            .setDescription('Add a link, role or callback button')
+            .addStringOption(option => option.setName('label').setDescription('Button text').setMaxLength(80).setRequired(true))
+            .addStringOption(option => option.setName('url').setDescription('Link button: the URL to open').setRequired(false))
+            .addRoleOption(option => option.setName('role').setDescription('Role button: the role a click gives or takes').setRequired(false))
+            .addStringOption(option => option.setName('callback').setDescription('Callback button: ID of the registered handler').setMaxLength(80).setRequired(false))
+            .addStringOption(option =>
+              option.setName('style').setDescription('Color of role and callback buttons (default: grey)').setRequired(false)
+                .addChoices(...Object.keys(StickyButtons.STYLES).map(style => ({ name: style, value: style })))
+            )
+            .addStringOption(option => option.setName('emoji').setDescription('Emoji shown before the label').setRequired(false))
+            .addIntegerOption(option => option.setName('row').setDescription('Row of the button (default: 1)').setMinValue(1).setMaxValue(StickyButtons.MAX_ROWS).setRequired(false))
+            .addStringOption(option => option.setName('name').setDescription('Sticky to use, if the channel has several').setRequired(false))
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('remove')
+            .setDescription('Remove a button')
+            .addIntegerOption(option => option.setName('position').setDescription('Position shown by /sticky button list').setMinValue(1).setRequired(true))
+            .addStringOption(option => option.setName('name').setDescription('Sticky to use, if the channel has several').setRequired(false))
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('list')
+            .setDescription('List the buttons of a sticky')
+            .addStringOption(option => option.setName('name').setDescription('Sticky to use, if the channel has several').setRequired(false))
+        )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('embed')
+        .setDescription('Manage the embeds posted after a sticky\'s own one')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('add')
+            .setDescription('Add an embed, e.g. an FAQ under the rules')
+            .addStringOption(option => option.setName('description').setDescription('Embed text, use \\n for line breaks').setMaxLength(4096).setRequired(true))
+            .addStringOption(option => option.setName('title').setDescription('Embed title').setMaxLength(256).setRequired(false))
+            .addStringOption(option => option.setName('color').setDescription('Embed color as hex, e.g. #ff0000').setRequired(false))
+            .addStringOption(option => option.setName('image').setDescription('Image URL').setRequired(false))
+            .addStringOption(option => option.setName('thumbnail').setDescription('Thumbnail URL').setRequired(false))
+            .addStringOption(option => option.setName('footer').setDescription('Footer text').setMaxLength(2048).setRequired(false))
+            .addStringOption(option => option.setName('name').setDescription('Sticky to use, if the channel has several').setRequired(false))
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('remove')
+            .setDescription('Remove an extra embed')
+            .addIntegerOption(option => option.setName('position').setDescription('Position shown by /sticky embed list').setMinValue(1).setRequired(true))
+            .addStringOption(option => option.setName('name').setDescription('Sticky to use, if the channel has several').setRequired(false))
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('list')
+            .setDescription('List the extra embeds of a sticky')
+            .addStringOption(option => option.setName('name').setDescription('Sticky to use, if the channel has several').setRequired(false))
+        )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('attachment')
+        .setDescription('Manage the files posted with a sticky')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('add')
+            .setDescription('Attach a file, e.g. an image or a PDF')
+            .addAttachmentOption(option => option.setName('file').setDescription('File to post with the sticky').setRequired(true))
+            .addStringOption(option => option.setName('name').setDescription('Sticky to use, if the channel has several').setRequired(false))
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('remove')
+            .setDescription('Remove an attachment')
+            .addIntegerOption(option => option.setName('position').setDescription('Position shown by /sticky attachment list').setMinValue(1).setRequired(true))
+            .addStringOption(option => option.setName('name').setDescription('Sticky to use, if the channel has several').setRequired(false))
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('list')
+            .setDescription('List the attachments of a sticky')
+            .addStringOption(option => option.setName('name').setDescription('Sticky to use, if the channel has several').setRequired(false))
+        )
     ),
   async execute(interaction, client) {
-    if (!interaction.member.permissions.has('ManageMessages'))
-      return interaction.reply({ content: "You don't have permissions to use this command!", ephemeral: true });
     if (config.Enabled === false)
       return interaction.reply({ content: `This command has been disabled in the config!`, ephemeral: true });
+    if (!interaction.guild)
+      return interaction.reply({ content: `Sticky messages can only be managed in a server!`, ephemeral: true });
 
     let subCmd = interaction.options.getSubcommand();
+    const denied = StickyPermissions.check(interaction.member, interaction.guild.id, interaction.options.getSubcommandGroup(false) || subCmd);
+    if (denied) return interaction.reply({ content: denied, ephemeral: true });
 
-    if (subCmd === 'create') {
-      if ((await StickyMessage.findOne({ channelId: interaction.channel.id })) !== null)
-        return interaction.reply({
-          content: `There is already a sticky message in this channel! Delete the old one before creating a new one`,
-          ephemeral: true,
-        });
-
-      let msg = interaction.options.getString('msg');
-      if (typeof msg === 'string') {
-        msg = msg.replace(/\\n/g, '\n');
-      }
-      let useWebhookOpt = interaction.options.getBoolean('webhook');
-      let useWebhook = typeof useWebhookOpt === 'boolean' ? useWebhookOpt : !!(config.Webhooks && config.Webhooks.EnabledByDefault);
-
-      let useEmbedOpt = interaction.options.getBoolean('embed');
-      let useEmbed = typeof useEmbedOpt === 'boolean' ? useEmbedOpt : (config.EnableEmbeds !== undefined ? config.EnableEmbeds : true);
+    // Changes to a channel's stickies run in its queue, so they never interleave with a repost;
+    // the thread copies of changed templates follow right after. The reply is deferred first,
+    // as waiting behind a slow repost can outlast the 3 seconds Discord gives to answer
+    const inChannelQueue = async task => {
+      await interaction.deferReply({ ephemeral: true });
+      const result = await StickyQueue.runExclusive(interaction.channel.id, task);
+      await syncThreadCopies(interaction);
+      return result;
+    };
 
-      if (useWebhook && !interaction.member.permissions.has('ManageWebhooks')) {
-        return interaction.reply({ content: `You need Manage Webhooks permission to create sticky via webhook.`, ephemeral: true });
-      }
+    if (interaction.options.getSubcommandGroup(false) === 'pool') return inChannelQueue(() => handlePool(interaction, subCmd));
+    if (interaction.options.getSubcommandGroup(false) === 'button') return inChannelQueue(() => handleButton(interaction, subCmd));
+    if (interaction.options.getSubcommandGroup(false) === 'embed') return inChannelQueue(() => handleEmbed(interaction, subCmd));
+    if (interaction.options.getSubcommandGroup(false) === 'attachment') return inChannelQueue(() => handleAttachment(interaction, subCmd));
 
-        const embed = new Discord.EmbedBuilder()
-        if(config.EmbedSettings.Embed.Title) embed.setTitle(config.EmbedSettings.Embed.Title)
-        embed.setDescription(msg)
-        if(config.EmbedSettings.Embed.Color) embed.setColor(config.EmbedSettings.Embed.Color)
-        if(config.EmbedSettings.Embed.Image) embed.setImage(config.EmbedSettings.Embed.PanelImage)
-        if(config.EmbedSettings.Embed.CustomThumbnailURL) embed.setThumbnail(config.EmbedSettings.Embed.CustomThumbnailURL)
-        if(config.EmbedSettings.Embed.Footer.Enabled && config.EmbedSettings.Embed.Footer.text) embed.setFooter({ text: `${config.EmbedSettings.Embed.Footer.text}` })
-        if(config.EmbedSettings.Embed.Footer.Enabled && config.EmbedSettings.Embed.Footer.text && config.EmbedSettings.Embed.Footer.CustomIconURL) embed.setFooter({ text: `${config.EmbedSettings.Embed.Footer.text}`, iconURL: `${config.EmbedSettings.Embed.Footer.CustomIconURL}` })
-        if(config.EmbedSettings.Embed.Timestamp) embed.setTimestamp()
-
-      let sentMessage = null;
-      let webhookData = { webhookId: null, webhookToken: null, webhookName: null, webhookAvatarURL: null };
-      if (useWebhook) {
-        const webhookName = config.Webhooks && config.Webhooks.Name ? config.Webhooks.Name : 'Sticky';
-        const avatarURL = config.Webhooks && config.Webhooks.AvatarURL ? config.Webhooks.AvatarURL : null;
-        const createdHook = await interaction.channel.createWebhook({
-          name: webhookName,
-          avatar: avatarURL || undefined,
-        });
-        try {
-          const hookClient = new Discord.WebhookClient({ id: createdHook.id, token: createdHook.token });
-          if(useEmbed === true) {
-            sentMessage = await hookClient.send({ embeds: [embed] });
-          } else {
-            sentMessage = await hookClient.send({ content: `${config.StickiedMessageTitle}\n\n${msg}` });
-          }
-          webhookData = { webhookId: createdHook.id, webhookToken: createdHook.token, webhookName, webhookAvatarURL: avatarURL };
-        } catch (e) {
-          useWebhook = false;
-        }
-      }
-      if (!sentMessage) {
-        if(useEmbed === false) sentMessage = await interaction.channel.send(`${config.StickiedMessageTitle}\n\n${msg}`)
-        if(useEmbed === true) sentMessage = await interaction.channel.send({ embeds: [embed] })
-      }
-
-      await StickyMessage.create({
-        channelId: interaction.channel.id,
-        message: msg,
-        msgCount: 0,
-        messageId: sentMessage?.id || null,
-        useWebhook,
-        useEmbed,
-        webhookId: webhookData.webhookId,
-        webhookToken: webhookData.webhookToken,
-        webhookName: webhookData.webhookName,
-        webhookAvatarURL: webhookData.webhookAvatarURL,
-      });
-
-      interaction.reply({ content: `You have successfully set a sticky message in this channel!`, ephemeral: true });
-
-      if (config.EnableSlowmode) interaction.channel.setRateLimitPerUser(config.SlowmodeDelay);
-    } else if (subCmd === 'delete') {
-      const stickyMessage = await StickyMessage.findOne({ channelId: interaction.channel.id });
-
-      if (!stickyMessage)
-        return interaction.reply({ content: `There is no sticky message in this channel!`, ephemeral: true });
-
-        await StickyMessage.findOneAndDelete({ channelId: interaction.channel.id });
-
-      if (stickyMessage.messageId) {
-        try {
-          const oldMsg = await interaction.channel.messages.fetch(stickyMessage.messageId).catch(() => null);
-          if (oldMsg) await oldMsg.delete().catch(() => {});
-        } catch {}
-      } else {
-        await interaction.channel.messages.fetch().then(async (msgs) => {
-          await msgs.forEach(async (msg) => {
-            if (msg.content && msg.content.includes(stickyMessage.message)) {
-              await msg.delete().catch((e) => {});
-            }
-          });
-        });
-      }
-
-      if (config.EnableSlowmode) interaction.channel.setRateLimitPerUser('0');
-
-      interaction.reply({
-        content: `You have successfully deleted the sticky message from this channel!`,
-        ephemeral: true,
-      });
-    } else if (subCmd === 'list') {
-        const allStickyMessages = await StickyMessage.find();
-  
-        if (allStickyMessages.length === 0) {
-          return interaction.reply({ content: 'There are no active sticky messages.', ephemeral: true });
-        }
-  
-        const embed = new Discord.EmbedBuilder()
-          .setTitle('Active Sticky Messages')
-          .setColor('Green');
-  
-        for (const stickyMessage of allStickyMessages) {
-          const channel = client.channels.cache.get(stickyMessage.channelId);
-  
-          if (channel) {
-            embed.addFields(
-              { name: 'Channel', value: channel.name, inline: true },
-              { name: 'Message', value: stickyMessage.message, inline: true },
-              { name: 'Webhook', value: stickyMessage.useWebhook ? 'Yes' : 'No', inline: true },
-              { name: 'Type', value: stickyMessage.useEmbed ? 'Embed' : 'Text', inline: true },
-            );
-          } else {
-            await StickyMessage.findOneAndDelete({ channelId: stickyMessage.channelId });
-          }
-        }
-  
-        interaction.reply({ embeds: [embed], ephemeral: true });
-      }
-    },
-  };
+    // The builder waits for the user, so it runs outside the queue and only enters it to save
+    if (subCmd === 'create' && interaction.options.getString('msg') === null) return handleBuilder(interaction, subCmd);
+    if (subCmd === 'edit' && !hasEditOptions(interaction)) return handleBuilder(interaction, subCmd);
+    if (subCmd === 'create') return inChannelQueue(() => handleCreate(interaction));
+    if (subCmd === 'edit') return inChannelQueue(() => handleEdit(interaction));
+    if (subCmd === 'delete') return inChannelQueue(() => handleDelete(interaction));
+    if (subCmd === 'pause') return inChannelQueue(() => handlePause(interaction));
+    if (subCmd === 'resume') return inChannelQueue(() => handleResume(interaction));
+    if (subCmd === 'slowmode') return inChannelQueue(() => handleSlowmode(interaction));
+    if (subCmd === 'filters') return inChannelQueue(() => handleFilters(interaction));
+    if (subCmd === 'preview') return handlePreview(interaction);
+    if (subCmd === 'list') return handleList(interaction, client);
+    if (subCmd === 'history') return handleHistory(interaction);
+    if (subCmd === 'export') return handleExport(interaction);
+    if (subCmd === 'import') return handleImport(interaction);
+    if (subCmd === 'settings') return handleSettings(interaction);
+    if (subCmd === 'permissions') return handlePermissions(interaction);
+  },
+};
@@ -2,7 +2,19 @@ const yaml = require("js-yaml");
 const fs = require("fs");
 const Discord = require("discord.js");
 const config = yaml.load(fs.readFileSync("./addons/StickyMessages/config.yml", "utf8"));
-const StickyMessageModel = require("./StickyModel");
+const StickyStore = require("./StickyStore");
+const StickyService = require("./StickyService");
+const StickySchedule = require("./StickySchedule");
+const StickyCache = require("./StickyCache");
+const StickyQueue = require("./StickyQueue");
+const StickySettings = require("./StickySettings");
+const StickyAudit = require("./StickyAudit");
+const StickySlowmode = require("./StickySlowmode");
+const StickyButtons = require("./StickyButtons");
+const StickyThreads = require("./StickyThreads");
+const StickyReconciler = require("./StickyReconciler");
+const StickyWebhooks = require("./StickyWebhooks");
+const StickyFilters = require("./StickyFilters");
 const VersionChecker = require('./VersionChecker');
 
 // =========================================================================== 
@@ -58,7 +70,9 @@ async function runVersionCheck() {
     console.log('\x1b[32m' + '='.repeat(60) + '\x1b[0m\n');
 }
 
-const cooldowns = new Map();
+const idleTimers = new Map();
+const lastActivity = new Map();
+const lastPosters = new Map();
 
 module.exports.register = ({ on, client }) => {
     if (!config.Enabled) return;
@@ -88,122 +102,252 @@ module.exports.register = ({ on, client }) => {
     // Schedule daily version checks
     setInterval(runVersionCheck, 1000 * 60 * 60 * 24);
 
+    /**
+     * Puts the webhook stickies of every channel on the one webhook the addon
+     * keeps per channel: recreates it when it was deleted and removes the
+     * webhooks older versions created for every single sticky.
+     */
     const ensureWebhooks = async () => {
         try {
-            const records = await StickyMessageModel.find({ useWebhook: true });
+            // Thread copies use the webhook of their template, which lives on the parent channel
+            const records = (await StickyStore.find({ useWebhook: true })).filter(record => !record.templateId);
+            const byHome = new Map();
             for (const rec of records) {
                 const channel = client.channels.cache.get(rec.channelId);
+                const home = channel && (channel.isThread() ? channel.parent : channel);
+                if (!home) continue;
+                if (!byHome.has(home.id)) byHome.set(home.id, { home, stickies: [] });
+                byHome.get(home.id).stickies.push(rec);
+            }
+            for (const { home, stickies } of byHome.values()) {
+                // Failures are logged and kept for /sticky list by StickyWebhooks
+                const { moved, deleted } = await StickyWebhooks.consolidate(home, stickies);
+                for (const rec of moved) {
+                    await StickyQueue.runExclusive(rec.channelId, () => StickyCache.refresh(rec.channelId));
+                    await StickyAudit.record(client, {
+                        action: 'webhook',
+                        sticky: rec,
+                        changes: [rec.webhookId ? 'now posts through the shared webhook of its channel' : 'webhook created'],
+                    });
+                }
+                if (deleted > 0) console.log(`[StickyMessages] Removed ${deleted} old sticky webhooks from channel ${home.id}`);
+                if (moved.some(rec => rec.threadTemplate)) await StickyThreads.syncCopies(client, home.guild.id);
+            }
+        } catch (e) {
+            console.error('[StickyMessages] Failed to check the sticky webhooks:', e);
+        }
+    };
+
+    /**
+     * Gives records created before stickies were scoped by guild the guild of
+     * their channel. Records whose channel can't be found are left untouched
+     * and stay hidden from every guild until it can.
+     */
+    const backfillGuildIds = async () => {
+        const records = (await StickyStore.find()).filter(rec => !rec.guildId);
+        let unresolved = 0;
+        for (const rec of records) {
+            const channel = client.channels.cache.get(rec.channelId);
+            if (channel && channel.guild) await StickyStore.update(rec._id, { guildId: channel.guild.id });
+            else unresolved += 1;
+        }
+        if (unresolved > 0) console.warn(`[StickyMessages] ${unresolved} sticky records have no guild because their channel was not found, they are skipped until it is.`);
+    };
+
+    /**
+     * Opens and closes scheduled stickies. Runs at startup too, so windows that
+     * opened or closed while the bot was offline are applied from the database.
+     */
+    const syncSchedules = async () => {
+        try {
+            const scheduled = (await StickyStore.find()).filter(StickySchedule.hasSchedule);
+            const channelIds = [...new Set(scheduled.map(rec => rec.channelId))];
+            for (const channelId of channelIds) {
+                const channel = client.channels.cache.get(channelId);
                 if (!channel) continue;
-                let needCreate = false;
-                if (!rec.webhookId || !rec.webhookToken) {
-                    needCreate = true;
-                } else {
-                    try {
-                        const hooks = await channel.fetchWebhooks();
-                        const exists = hooks.some(h => h.id === rec.webhookId);
-                        if (!exists) needCreate = true;
-                    } catch {
-                        needCreate = true;
+                await StickyQueue.runExclusive(channelId, async () => {
+                    if (await StickyService.syncSchedule(channel, await StickyStore.find({ channelId }))) {
+                        await StickyCache.refresh(channelId);
                     }
-                }
-                if (needCreate) {
-                    const name = rec.webhookName || (config.Webhooks && config.Webhooks.Name) || "Sticky";
-                    const avatarURL = rec.webhookAvatarURL || (config.Webhooks && config.Webhooks.AvatarURL) || null;
-                    try {
-                        const created = await channel.createWebhook({ name, avatar: avatarURL || undefined });
-                        await StickyMessageModel.findByIdAndUpdate(rec._id, {
-                            webhookId: created.id,
-                            webhookToken: created.token,
-                            webhookName: name,
-                            webhookAvatarURL: avatarURL,
-                        });
-                    } catch {}
-                }
+                });
+            }
+        } catch (e) {
+            console.error('[StickyMessages] Failed to apply sticky schedules:', e);
+        }
+    };
+
+    /**
+     * Resumes paused stickies whose pause duration is over, reposting them.
+     */
+    const resumeExpiredPauses = async () => {
+        try {
+            const now = Date.now();
+            const expired = (await StickyStore.find({ paused: true })).filter(rec => rec.pausedUntil && rec.pausedUntil.getTime() <= now);
+            for (const channelId of new Set(expired.map(rec => rec.channelId))) {
+                const channel = client.channels.cache.get(channelId);
+                if (!channel) continue;
+                await StickyQueue.runExclusive(channelId, async () => {
+                    const stickies = await StickyStore.find({ channelId });
+                    const targets = stickies.filter(rec => rec.paused && rec.pausedUntil && rec.pausedUntil.getTime() <= now);
+                    if (targets.length === 0) return;
+                    await StickyService.resumeStickies(channel, stickies, targets);
+                    await StickyCache.refresh(channelId);
+                    for (const sticky of targets) await StickyAudit.record(client, { action: 'resume', sticky, changes: ['pause duration over'] });
+                });
             }
-        } catch {}
+        } catch (e) {
+            console.error('[StickyMessages] Failed to resume paused stickies:', e);
+        }
     };
 
-    if (config.Webhooks && config.Webhooks.CreateOnStartup) {
-        ensureWebhooks();
+    const storeReady = StickyStore.init()
+        .catch(e => console.error('[StickyMessages] Failed to prepare the sticky storage:', e));
+    storeReady
+        .then(backfillGuildIds)
+        .catch(e => console.error('[StickyMessages] Failed to backfill the guild of sticky records:', e))
+        .then(() => StickySettings.load())
+        .catch(e => console.error('[StickyMessages] Failed to load the guild settings:', e))
+        .then(() => StickyCache.load())
+        .catch(e => console.error('[StickyMessages] Failed to load the sticky cache, falling back to the database:', e))
+        .then(syncSchedules)
+        .then(resumeExpiredPauses)
+        .then(() => (client.isReady() ? null : new Promise(resolve => client.once('ready', resolve))))
+        .then(() => config.Webhooks && config.Webhooks.CreateOnStartup && ensureWebhooks())
+        .then(() => StickyReconciler.settings().OnStartup && StickyReconciler.reconcileAll(client))
+        .catch(e => console.error('[StickyMessages] Failed to check the stickies on startup:', e));
+    setInterval(async () => {
+        await syncSchedules();
+        await resumeExpiredPauses();
+    }, ((config.Schedules && config.Schedules.CheckIntervalSeconds) || 30) * 1000);
+    setInterval(async () => {
+        for (const channelId of StickySlowmode.raisedChannels()) {
+            const channel = client.channels.cache.get(channelId);
+            if (!channel) continue;
+            const stickies = (await StickyCache.getChannel(channelId)).filter(StickyService.isLive);
+            await StickySlowmode.calmDown(channel, stickies).catch(e => console.error('[StickyMessages] Failed to lower the adaptive slowmode:', e));
+        }
+    }, 15 * 1000);
+    // Permissions can change without an event reaching the bot, so broken and working stickies are rechecked
+    if (StickyReconciler.settings().CheckIntervalMinutes > 0) {
+        setInterval(() => {
+            StickyReconciler.reconcileAll(client, { checkMessages: false })
+                .catch(e => console.error('[StickyMessages] Failed to check the stickies:', e));
+        }, StickyReconciler.settings().CheckIntervalMinutes * 60 * 1000);
     }
+    // Counters are written in the queue of their channel, so a repost can't run in between
+    setInterval(() => {
+        for (const channelId of StickyCache.pendingChannels()) {
+            StickyQueue.runExclusive(channelId, () => StickyCache.flush(channelId))
+                .catch(e => console.error(`[StickyMessages] Failed to save the message counters of channel ${channelId}:`, e));
+        }
+    }, StickyCache.flushInterval());
+
     if (config.Webhooks && config.Webhooks.CheckIntervalSeconds && config.Webhooks.CheckIntervalSeconds > 0) {
         setInterval(ensureWebhooks, config.Webhooks.CheckIntervalSeconds * 1000);
     }
 
+    /**
+     * Arms (or re-arms) the silence timer of a channel with idle-mode stickies.
+     * When it fires, the stickies are reposted once the channel has been quiet long enough.
+     */
+    function scheduleIdleCheck(channel, stickies) {
+        const idleStickies = stickies.filter(sticky => StickyService.triggerSettings(sticky).mode === 'idle');
+        clearTimeout(idleTimers.get(channel.id));
+        idleTimers.delete(channel.id);
+        if (idleStickies.length === 0) return;
+
+        const silentFor = Date.now() - (lastActivity.get(channel.id) || 0);
+        const wait = Math.min(...idleStickies.map(sticky => StickyService.triggerSettings(sticky).idleSeconds * 1000)) - silentFor;
+        idleTimers.set(channel.id, setTimeout(async () => {
+            idleTimers.delete(channel.id);
+            try {
+                const current = (await StickyCache.getChannel(channel.id)).filter(StickyService.isLive);
+                const silent = Date.now() - (lastActivity.get(channel.id) || 0);
+                if (current.some(sticky => StickyService.isRepostDue(sticky, { silentFor: silent }))) {
+                    StickyQueue.requestRepost(channel, { lastPoster: lastPosters.get(channel.id) });
+                } else if (current.some(sticky => sticky.msgCount > 0)) {
+                    scheduleIdleCheck(channel, current);
+                }
+            } catch (e) {
+                console.error('[StickyMessages] Idle repost failed:', e);
+            }
+        }, Math.max(wait, 1000)));
+    }
+
     on("messageCreate", async (message) => {
         if (message.author.id === message.client.user.id || !message.guild) return;
 
-        const stickyMessage = await StickyMessageModel.findOne({ channelId: message.channel.id });
-
-        if (stickyMessage) {
-            await StickyMessageModel.findByIdAndUpdate(stickyMessage._id, { $inc: { msgCount: 1 } });
-
-            if (!cooldowns.has(message.channel.id) || cooldowns.get(message.channel.id) <= Date.now()) {
-                cooldowns.set(message.channel.id, Date.now() + 1 * 1000);
-
-                if (stickyMessage.msgCount >= config.MaxMessages) {
-                    if (stickyMessage.messageId) {
-                        const oldMsg = await message.channel.messages.fetch(stickyMessage.messageId).catch(() => null);
-                        if (oldMsg) await oldMsg.delete().catch(() => {});
-                    } else {
-                        const messages = await message.channel.messages.fetch();
-                        messages.forEach(async (msg) => {
-                            const isEmbed = stickyMessage.useEmbed !== undefined ? stickyMessage.useEmbed : (config.EnableEmbeds !== undefined ? config.EnableEmbeds : true);
-                            if (
-                                (!isEmbed && msg.content && msg.content.includes(stickyMessage.message)) ||
-                                (isEmbed && msg.embeds && msg.embeds.some(embed => embed.description && embed.description.includes(stickyMessage.message)))
-                            ) {
-                                await msg.delete().catch(() => {});
-                            }
-                        });
-                    }
+        try {
+            const stickies = (await StickyCache.getChannel(message.channel.id))
+                .filter(sticky => sticky.guildId === message.guild.id && StickyService.isLive(sticky));
+            if (stickies.length === 0) return;
+            // Stickies posted through our own webhooks must not count towards their repost
+            if (message.webhookId && stickies.some(sticky => sticky.webhookId === message.webhookId)) return;
 
-                    const embed = new Discord.EmbedBuilder();
-                    if (config.EmbedSettings.Embed.Title) embed.setTitle(config.EmbedSettings.Embed.Title);
-                    embed.setDescription(stickyMessage.message);
-                    if (config.EmbedSettings.Embed.Color) embed.setColor(config.EmbedSettings.Embed.Color);
-                    if (config.EmbedSettings.Embed.Image) embed.setImage(config.EmbedSettings.Embed.PanelImage);
-                    if (config.EmbedSettings.Embed.CustomThumbnailURL) embed.setThumbnail(config.EmbedSettings.Embed.CustomThumbnailURL);
-                    if (config.EmbedSettings.Embed.Footer.Enabled && config.EmbedSettings.Embed.Footer.text) {
-                        embed.setFooter({ text: config.EmbedSettings.Embed.Footer.text });
-                    }
-                    if (config.EmbedSettings.Embed.Footer.CustomIconURL) {
-                        embed.setFooter({ text: config.EmbedSettings.Embed.Footer.text, iconURL: config.EmbedSettings.Embed.Footer.CustomIconURL });
-                    }
-                    if (config.EmbedSettings.Embed.Timestamp) embed.setTimestamp();
-
-                    let sentMessage;
-                    const isEmbed = stickyMessage.useEmbed !== undefined ? stickyMessage.useEmbed : (config.EnableEmbeds !== undefined ? config.EnableEmbeds : true);
-                    if (stickyMessage.useWebhook && stickyMessage.webhookId && stickyMessage.webhookToken) {
-                        try {
-                            const hookClient = new Discord.WebhookClient({ id: stickyMessage.webhookId, token: stickyMessage.webhookToken });
-                            if (isEmbed) {
-                                const res = await hookClient.send({ embeds: [embed] });
-                                sentMessage = Array.isArray(res) ? res[0] : res;
-                            } else {
-                                const res = await hookClient.send({ content: `${config.StickiedMessageTitle}\n\n${stickyMessage.message}` });
-                                sentMessage = Array.isArray(res) ? res[0] : res;
-                            }
-                        } catch {
-                            if (isEmbed) {
-                                sentMessage = await message.channel.send({ embeds: [embed] });
-                            } else {
-                                sentMessage = await message.channel.send({ content: `${config.StickiedMessageTitle}\n\n${stickyMessage.message}` });
-                            }
-                        }
-                    } else {
-                        if (isEmbed) {
-                            sentMessage = await message.channel.send({ embeds: [embed] });
-                        } else {
-                            sentMessage = await message.channel.send({ content: `${config.StickiedMessageTitle}\n\n${stickyMessage.message}` });
-                        }
-                    }
+            // Messages every sticky's counting filters reject don't count as activity at all
+            const counting = stickies.filter(sticky => StickyFilters.counts(sticky, message));
+            if (counting.length === 0) return;
 
-                    await StickyMessageModel.findByIdAndUpdate(stickyMessage._id, { msgCount: 0, messageId: sentMessage.id });
-                }
-            } else {
-                return;
-            }
+            // Checked before counting this message, as the threshold has always been compared to the previous count
+            const due = counting.some(sticky => StickyService.isRepostDue(sticky));
+            // Only the live stickies that counted it, never paused, scheduled off or thread template records
+            StickyCache.increment(message.channel.id, counting.map(sticky => sticky._id));
+            const lastPoster = (message.member && message.member.displayName) || message.author.username;
+            lastActivity.set(message.channel.id, Date.now());
+            lastPosters.set(message.channel.id, lastPoster);
+            scheduleIdleCheck(message.channel, stickies);
+            StickySlowmode.trackMessage(message.channel, stickies).catch(e => console.error('[StickyMessages] Failed to raise the adaptive slowmode:', e));
+
+            // Stickies of a channel are always reposted together to keep their order;
+            // the queue merges a burst of due messages into one repost
+            if (due) StickyQueue.requestRepost(message.channel, { lastPoster });
+        } catch (e) {
+            console.error(`[StickyMessages] Failed to handle a message in channel ${message.channel.id}:`, e);
+        }
+    });
+
+    on("channelDelete", async (channel) => {
+        await StickyReconciler.removeChannel(client, channel.id).catch(e => console.error(`[StickyMessages] Failed to remove the stickies of deleted channel ${channel.id}:`, e));
+    });
+
+    on("messageDelete", async (message) => {
+        if (!message.guildId) return;
+        await StickyReconciler.handleMessageDelete(client, message).catch(e => console.error(`[StickyMessages] Failed to restore a deleted sticky in channel ${message.channelId}:`, e));
+    });
+
+    on("webhooksUpdate", async (channel) => {
+        await StickyReconciler.handleWebhooksUpdate(client, channel).catch(e => console.error(`[StickyMessages] Failed to check the webhooks of channel ${channel.id}:`, e));
+    });
+
+    on("threadCreate", async (thread, newlyCreated) => {
+        if (!newlyCreated || !thread.guild) return;
+        try {
+            await StickyThreads.instantiate(thread);
+        } catch (e) {
+            console.error(`[StickyMessages] Failed to add the template stickies to thread ${thread.id}:`, e);
+        }
+    });
+
+    on("threadUpdate", async (oldThread, newThread) => {
+        if (oldThread.archived || !newThread.archived) return;
+        await StickyThreads.removeCopies(newThread).catch(e => console.error(`[StickyMessages] Failed to remove the template stickies of thread ${newThread.id}:`, e));
+    });
+
+    on("threadDelete", async (thread) => {
+        await StickyReconciler.removeChannel(client, thread.id).catch(e => console.error(`[StickyMessages] Failed to remove the stickies of deleted thread ${thread.id}:`, e));
+    });
+
+    // Sticky buttons carry everything they need in their custom ID, so clicks on any
+    // repost of a sticky, old or new, are handled here
+    on("interactionCreate", async (interaction) => {
+        // Every other button of the bot goes through here too, only sticky buttons need their sticky looked up
+        if (!StickyButtons.isStickyButton(interaction) || !interaction.guild) return;
+        try {
+            const sticky = (await StickyCache.getChannel(interaction.channelId)).find(rec => rec.messageId === interaction.message.id) || null;
+            await StickyButtons.handleInteraction(interaction, sticky);
+        } catch (e) {
+            console.error('[StickyMessages] Sticky button failed:', e);
+            if (!interaction.replied && !interaction.deferred) interaction.reply({ content: 'Something went wrong with this button.', ephemeral: true }).catch(() => {});
         }
     });
 };